@@ -0,0 +1,20 @@
+import { loadEnv } from 'vite'
+import { createApi } from '../server/api.js'
+
+// Serves the /api routes from `vite` and `vite preview`, with .env files loaded.
+export default function apiPlugin() {
+  let env
+
+  return {
+    name: 'portfolio-api',
+    configResolved(config) {
+      env = { ...loadEnv(config.mode, config.envDir, ''), ...process.env }
+    },
+    configureServer(server) {
+      server.middlewares.use(createApi({ env, dev: true }))
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(createApi({ env }))
+    },
+  }
+}
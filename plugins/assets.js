@@ -0,0 +1,32 @@
+import { existsSync, readFileSync } from 'node:fs'
+import path from 'node:path'
+import { manifestPaths } from '../src/assets/manifest.js'
+
+const CONTENT_FILE = path.resolve('src/content/portfolio.json')
+
+const contentPaths = () => {
+  const { profile, projects } = JSON.parse(readFileSync(CONTENT_FILE, 'utf8'))
+  const projectPaths = projects.flatMap(({ model, details }) => [model, ...(details?.media ?? []).map(m => m.src)])
+  return [profile.photo, ...projectPaths].filter(asset => asset?.startsWith('/'))
+}
+
+// Warns when the asset manifest or the content file (profile photo, project
+// models and media) points at a file public/ doesn't have. It doesn't fail the
+// build: SceneErrorBoundary and the in-scene fallbacks cover a missing model.
+export default function assetsPlugin() {
+  let config
+
+  return {
+    name: 'portfolio-assets',
+    configResolved(resolved) {
+      config = resolved
+    },
+    buildStart() {
+      const missing = [...manifestPaths(), ...contentPaths()]
+        .filter((asset) => !existsSync(path.join(config.publicDir, asset)))
+      if (!missing.length) return
+
+      this.warn(`Missing public assets, the fallbacks will stand in:\n  - ${missing.join('\n  - ')}`)
+    },
+  }
+}
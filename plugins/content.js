@@ -0,0 +1,29 @@
+import path from 'node:path'
+import { validateContent } from '../src/content/schema.js'
+
+const CONTENT_FILE = path.resolve('src/content/portfolio.json')
+
+// Validates the portfolio content file whenever Vite loads it, so a bad edit
+// fails `vite build` and shows the error overlay in dev.
+export default function contentPlugin({ file = CONTENT_FILE } = {}) {
+  return {
+    name: 'portfolio-content',
+    enforce: 'pre',
+    transform(code, id) {
+      if (id.split('?')[0] !== file) return null
+
+      let content
+      try {
+        content = JSON.parse(code)
+      } catch (err) {
+        this.error(`${path.relative(process.cwd(), file)} is not valid JSON: ${err.message}`)
+      }
+
+      const errors = validateContent(content)
+      if (errors.length) {
+        this.error(`Invalid portfolio content in ${path.relative(process.cwd(), file)}:\n  - ${errors.join('\n  - ')}`)
+      }
+      return null
+    },
+  }
+}
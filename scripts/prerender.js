@@ -0,0 +1,25 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+
+// Writes a static HTML page per scene into dist/ from the SSR build in
+// dist-ssr/: dist/index.html for the intro and dist/<scene>/index.html for
+// the rest. SITE_URL (e.g. https://example.com) adds the canonical, og:url
+// and og:image tags and the JSON-LD image; without it they're left out.
+
+const siteUrl = (process.env.SITE_URL ?? '').replace(/\/$/, '')
+const template = await readFile('dist/index.html', 'utf8')
+const { render, renderHead, cssVariablesBlock, DEFAULT_THEME, SCENES } = await import(path.resolve('dist-ssr/entry-server.js'))
+
+for (const scene of SCENES) {
+  const html = template
+    .replace(/<title>.*?<\/title>/s, renderHead(scene, siteUrl))
+    // The theme's custom properties are normally set by ThemeProvider; inline
+    // the default ones so the page is styled before (or without) any JS.
+    .replace('</head>', `<style>${cssVariablesBlock(DEFAULT_THEME)}</style></head>`)
+    .replace('<!--app-html-->', render(scene))
+
+  const dir = scene === 'travel' ? 'dist' : path.join('dist', scene)
+  await mkdir(dir, { recursive: true })
+  await writeFile(path.join(dir, 'index.html'), html)
+  console.log(`prerendered ${path.join(dir, 'index.html')}`)
+}
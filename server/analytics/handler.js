@@ -0,0 +1,73 @@
+import { MAX_BATCH, normalizeEvent } from '../../src/analytics/events.js'
+import { createRateLimiter } from '../contact/rateLimit.js'
+import { clientIp, HttpError, readJson, sendJson } from '../http.js'
+import { renderReport, summarize } from './report.js'
+
+const SESSION = /^[\w-]{1,64}$/
+
+const sendEmpty = (res, status) => {
+  res.writeHead(status)
+  res.end()
+}
+
+// POST /api/analytics. Takes a batch `{ session, events }` from the browser
+// tracker, drops malformed events and hands the rest to the sink. The IP is
+// only used for rate limiting and is never stored.
+export function createCollectHandler({ sink, limiter = createRateLimiter({ limit: 60, windowMs: 60 * 1000 }), trustProxy = false, log = console }) {
+  return async function handleCollect(req, res) {
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'Use POST.' }, { Allow: 'POST' })
+
+    // The client already stays quiet under DNT; this covers other senders.
+    if (req.headers.dnt === '1' || req.headers['sec-gpc'] === '1') return sendEmpty(res, 204)
+
+    const { allowed, retryAfter } = limiter.hit(clientIp(req, { trustProxy }))
+    if (!allowed) return sendJson(res, 429, { error: 'Too many requests.' }, { 'Retry-After': String(retryAfter) })
+
+    let body
+    try {
+      body = await readJson(req, { limit: 32 * 1024 })
+    } catch (err) {
+      if (err instanceof HttpError) return sendJson(res, err.status, { error: err.message })
+      throw err
+    }
+
+    if (typeof body.session !== 'string' || !SESSION.test(body.session) || !Array.isArray(body.events)) {
+      return sendJson(res, 400, { error: 'Expected { session, events }.' })
+    }
+
+    const receivedAt = new Date().toISOString()
+    const events = body.events.slice(0, MAX_BATCH)
+      .map(normalizeEvent)
+      .filter(Boolean)
+      .map(event => ({ session: body.session, ...event, receivedAt }))
+
+    if (events.length) {
+      try {
+        await sink.write(events)
+      } catch (err) {
+        log.error(`[analytics] ${sink.name} sink failed:`, err)
+        return sendJson(res, 502, { error: 'Events could not be stored.' })
+      }
+    }
+    sendEmpty(res, 204)
+  }
+}
+
+// GET /api/analytics/report?token=..., as HTML or with &format=json as JSON.
+// Without a configured token the report is off, except on the dev server
+// (`open`), where it needs no token.
+export function createReportHandler({ sink, token, open = false }) {
+  return async function handleReport(req, res) {
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'Use GET.' }, { Allow: 'GET' })
+
+    const { searchParams } = new URL(req.url, 'http://localhost')
+    if (!token && !open) return sendJson(res, 403, { error: 'Set ANALYTICS_REPORT_TOKEN to enable the report.' })
+    if (token && searchParams.get('token') !== token) return sendJson(res, 401, { error: 'A valid ?token= is required.' })
+
+    const summary = summarize(await sink.read())
+    if (searchParams.get('format') === 'json') return sendJson(res, 200, summary, { 'Cache-Control': 'no-store' })
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' })
+    res.end(renderReport(summary))
+  }
+}
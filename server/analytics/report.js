@@ -0,0 +1,118 @@
+import { SCENES, SCENE_LABELS } from '../../src/scenes.js'
+import { cssVariablesBlock, DEFAULT_THEME } from '../../src/theme/themes.js'
+
+const median = (values) => {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = sorted.length >> 1
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2)
+}
+
+// Folds stored events into the funnel: how many sessions reached each scene,
+// the median time spent there, how joystick holds ended and which outbound
+// links were followed.
+export function summarize(events) {
+  const sessions = new Set()
+  const reached = Object.fromEntries(SCENES.map(scene => [scene, new Set()]))
+  const times = Object.fromEntries(SCENES.map(scene => [scene, []]))
+  const warp = { complete: 0, abandon: 0, abandonHeldMs: [] }
+  const links = new Map()
+
+  for (const event of events) {
+    sessions.add(event.session)
+    switch (event.type) {
+      case 'scene_enter':
+        reached[event.scene]?.add(event.session)
+        break
+      case 'scene_time':
+        times[event.scene]?.push(event.ms)
+        break
+      case 'warp_complete':
+        warp.complete++
+        break
+      case 'warp_abandon':
+        warp.abandon++
+        warp.abandonHeldMs.push(event.heldMs)
+        break
+      case 'outbound_click': {
+        const key = `${event.project ?? ''} ${event.href}`
+        const link = links.get(key) ?? { href: event.href, project: event.project ?? null, clicks: 0 }
+        link.clicks++
+        links.set(key, link)
+        break
+      }
+    }
+  }
+
+  return {
+    sessions: sessions.size,
+    funnel: SCENES.map(scene => ({
+      scene,
+      label: SCENE_LABELS[scene],
+      sessions: reached[scene].size,
+      medianMs: median(times[scene]),
+    })),
+    warp: {
+      complete: warp.complete,
+      abandon: warp.abandon,
+      medianAbandonHeldMs: median(warp.abandonHeldMs),
+    },
+    links: [...links.values()].sort((a, b) => b.clicks - a.clicks),
+  }
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`)
+const seconds = (ms) => (ms === null ? '—' : `${(ms / 1000).toFixed(1)}s`)
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 100) : 0)
+
+// A self-contained page for /api/analytics/report; no scripts, no assets.
+export function renderReport({ sessions, funnel, warp, links }) {
+  const holds = warp.complete + warp.abandon
+  const rows = funnel.map(({ label, sessions: count, medianMs }) => `
+      <tr>
+        <th scope="row">${escapeHtml(label)}</th>
+        <td>${count}</td>
+        <td><div class="bar" style="width: ${percent(count, sessions)}%"></div>${percent(count, sessions)}%</td>
+        <td>${seconds(medianMs)}</td>
+      </tr>`).join('')
+  const linkRows = links.map(({ href, project, clicks }) => `
+      <tr><td>${escapeHtml(href)}</td><td>${project ? escapeHtml(project) : '—'}</td><td>${clicks}</td></tr>`).join('')
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="robots" content="noindex" />
+  <title>Portfolio analytics</title>
+  <style>
+    ${cssVariablesBlock(DEFAULT_THEME)}
+    body { margin: 40px auto; max-width: 900px; padding: 0 20px; font-family: system-ui, sans-serif; background: var(--bg); color: var(--text); }
+    h1, h2 { color: var(--accent); }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 40px; }
+    th, td { text-align: left; padding: 8px; border-bottom: 1px solid rgba(var(--fg-rgb), 0.15); }
+    .bar { display: inline-block; height: 10px; margin-right: 8px; background: var(--accent); vertical-align: middle; }
+  </style>
+</head>
+<body>
+  <h1>Warp journey funnel</h1>
+  <p>${sessions} session(s) with consent. Sessions are per page load, so a returning visitor counts again.</p>
+  <table>
+    <thead><tr><th>Scene</th><th>Sessions</th><th>Reached</th><th>Median time</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+
+  <h2>Joystick</h2>
+  <p>${warp.complete} warp(s) completed, ${warp.abandon} abandoned (${percent(warp.abandon, holds)}% of holds).
+    Median hold before giving up: ${seconds(warp.medianAbandonHeldMs)}.</p>
+
+  <h2>Outbound links</h2>
+  <table>
+    <thead><tr><th>Link</th><th>Project</th><th>Clicks</th></tr></thead>
+    <tbody>${linkRows || '<tr><td colspan="3">No clicks yet.</td></tr>'}
+    </tbody>
+  </table>
+</body>
+</html>
+`
+}
@@ -0,0 +1,64 @@
+import { appendFile, mkdir, readdir, readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+// A sink is `{ name, write(events), read() }`. write stores a batch of
+// already-validated events; read resolves to every stored event for the report.
+
+// Appends events as JSON lines, one file per UTC day. Stands in for a real
+// analytics store on small self-hosted setups.
+export function createFileSink({ dir = '.analytics' } = {}) {
+  return {
+    name: 'file',
+    async write(events) {
+      await mkdir(dir, { recursive: true })
+      const file = path.join(dir, `events-${new Date().toISOString().slice(0, 10)}.ndjson`)
+      await appendFile(file, events.map(event => `${JSON.stringify(event)}\n`).join(''))
+    },
+    async read() {
+      let files
+      try {
+        files = (await readdir(dir)).filter(name => name.endsWith('.ndjson')).sort()
+      } catch (err) {
+        if (err.code === 'ENOENT') return []
+        throw err
+      }
+      const events = []
+      for (const name of files) {
+        for (const line of (await readFile(path.join(dir, name), 'utf8')).split('\n')) {
+          if (!line) continue
+          try {
+            events.push(JSON.parse(line))
+          } catch {
+            // A torn write from a crash; skip the line rather than the report.
+          }
+        }
+      }
+      return events
+    },
+  }
+}
+
+export function createConsoleSink({ log = console } = {}) {
+  return {
+    name: 'console',
+    async write(events) {
+      for (const event of events) log.info(`[analytics] ${JSON.stringify(event)}`)
+    },
+    async read() {
+      return []
+    },
+  }
+}
+
+// ANALYTICS_SINK picks the sink: "file" (default) or "console". The file sink
+// writes to ANALYTICS_DIR.
+export function sinkFromEnv(env = process.env) {
+  switch (env.ANALYTICS_SINK ?? 'file') {
+    case 'console':
+      return createConsoleSink()
+    case 'file':
+      return createFileSink({ dir: env.ANALYTICS_DIR })
+    default:
+      throw new Error(`Unknown ANALYTICS_SINK "${env.ANALYTICS_SINK}".`)
+  }
+}
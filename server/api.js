@@ -0,0 +1,34 @@
+import { createCollectHandler, createReportHandler } from './analytics/handler.js'
+import { sinkFromEnv } from './analytics/sinks.js'
+import { createContactHandler } from './contact/handler.js'
+import { transportFromEnv } from './contact/transports.js'
+import { sendJson } from './http.js'
+
+// Connect-style middleware serving every /api route. Used by the Vite dev and
+// preview servers (plugins/api.js) and by the standalone server (server/index.js).
+// `dev` is only set by the Vite dev server and relaxes what's safe to relax locally.
+export function createApi({ env = process.env, log = console, dev = false } = {}) {
+  const trustProxy = env.TRUST_PROXY === 'true'
+  const analyticsSink = sinkFromEnv(env)
+
+  const routes = {
+    '/api/contact': createContactHandler({
+      transport: transportFromEnv(env),
+      trustProxy,
+      log,
+    }),
+    '/api/analytics': createCollectHandler({ sink: analyticsSink, trustProxy, log }),
+    '/api/analytics/report': createReportHandler({ sink: analyticsSink, token: env.ANALYTICS_REPORT_TOKEN, open: dev }),
+  }
+
+  return function api(req, res, next) {
+    const pathname = new URL(req.url, 'http://localhost').pathname
+    const handler = routes[pathname]
+    if (!handler) return next()
+
+    handler(req, res).catch((err) => {
+      log.error(`[api] ${req.method} ${pathname} failed:`, err)
+      if (!res.headersSent) sendJson(res, 500, { error: 'Something went wrong.' })
+    })
+  }
+}
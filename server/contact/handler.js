@@ -0,0 +1,39 @@
+import { isHoneypotFilled, validateMessage } from '../../src/contact/validate.js'
+import { clientIp, HttpError, readJson, sendJson } from '../http.js'
+import { createRateLimiter } from './rateLimit.js'
+
+// POST /api/contact. Re-validates the form on the server, rate-limits per IP
+// and hands valid messages to the transport.
+export function createContactHandler({ transport, limiter = createRateLimiter(), trustProxy = false, log = console }) {
+  return async function handleContact(req, res) {
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'Use POST.' }, { Allow: 'POST' })
+
+    const ip = clientIp(req, { trustProxy })
+    const { allowed, retryAfter } = limiter.hit(ip)
+    if (!allowed) {
+      return sendJson(res, 429, { error: 'Too many messages. Please try again later.' }, { 'Retry-After': String(retryAfter) })
+    }
+
+    let body
+    try {
+      body = await readJson(req)
+    } catch (err) {
+      if (err instanceof HttpError) return sendJson(res, err.status, { error: err.message })
+      throw err
+    }
+
+    // Bots get the same answer as people so they don't learn to skip the field.
+    if (isHoneypotFilled(body)) return sendJson(res, 200, { ok: true })
+
+    const { values, errors } = validateMessage(body)
+    if (Object.keys(errors).length) return sendJson(res, 400, { errors })
+
+    try {
+      await transport.send({ ...values, receivedAt: new Date().toISOString() })
+    } catch (err) {
+      log.error(`[contact] ${transport.name} transport failed:`, err)
+      return sendJson(res, 502, { error: 'The message could not be sent. Please try again later.' })
+    }
+    sendJson(res, 200, { ok: true })
+  }
+}
@@ -0,0 +1,33 @@
+// Sliding-window limiter keyed by client IP. State is in memory, so each
+// server process counts on its own.
+export function createRateLimiter({ limit = 5, windowMs = 10 * 60 * 1000, now = Date.now } = {}) {
+  const hits = new Map()
+  let lastSweep = now()
+
+  // Forgets keys whose hits have all left the window, at most once a window,
+  // so clients that stop coming back don't stay in memory.
+  const sweep = (time) => {
+    if (time - lastSweep < windowMs) return
+    lastSweep = time
+    for (const [key, times] of hits) {
+      if (time - times[times.length - 1] >= windowMs) hits.delete(key)
+    }
+  }
+
+  return {
+    hit(key) {
+      const time = now()
+      sweep(time)
+      const recent = (hits.get(key) ?? []).filter((at) => time - at < windowMs)
+
+      if (recent.length >= limit) {
+        hits.set(key, recent)
+        return { allowed: false, retryAfter: Math.ceil((recent[0] + windowMs - time) / 1000) }
+      }
+
+      recent.push(time)
+      hits.set(key, recent)
+      return { allowed: true, retryAfter: 0 }
+    },
+  }
+}
@@ -0,0 +1,72 @@
+import { mkdir, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+
+// A transport is `{ name, send(message) }`; send resolves once the message
+// has been handed off and rejects if it could not be delivered.
+
+export function createSmtpTransport({ host, port = 587, secure = false, user, pass, from, to }) {
+  if (!host || !to) throw new Error('SMTP transport needs SMTP_HOST and CONTACT_TO.')
+  let mailer
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      if (!mailer) {
+        const { default: nodemailer } = await import('nodemailer')
+        mailer = nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined })
+      }
+      await mailer.sendMail({
+        from: from ?? user,
+        to,
+        replyTo: `${message.name} <${message.email}>`,
+        subject: message.subject ? `[Portfolio] ${message.subject}` : `[Portfolio] Message from ${message.name}`,
+        text: message.message,
+      })
+    },
+  }
+}
+
+// Writes each message to its own JSON file; handy for local testing.
+export function createFileTransport({ dir = '.mail' } = {}) {
+  return {
+    name: 'file',
+    async send(message) {
+      await mkdir(dir, { recursive: true })
+      const file = path.join(dir, `${message.receivedAt.replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`)
+      await writeFile(file, `${JSON.stringify(message, null, 2)}\n`)
+    },
+  }
+}
+
+export function createConsoleTransport({ log = console } = {}) {
+  return {
+    name: 'console',
+    async send(message) {
+      log.info(`[contact] ${message.name} <${message.email}>: ${message.subject || '(no subject)'}\n${message.message}`)
+    },
+  }
+}
+
+// CONTACT_TRANSPORT picks the transport: "smtp", "file" (default) or "console".
+// SMTP reads SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+// CONTACT_FROM and CONTACT_TO; the file sink writes to CONTACT_MAIL_DIR.
+export function transportFromEnv(env = process.env) {
+  switch (env.CONTACT_TRANSPORT ?? 'file') {
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT ?? 587),
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.CONTACT_FROM,
+        to: env.CONTACT_TO,
+      })
+    case 'console':
+      return createConsoleTransport()
+    case 'file':
+      return createFileTransport({ dir: env.CONTACT_MAIL_DIR })
+    default:
+      throw new Error(`Unknown CONTACT_TRANSPORT "${env.CONTACT_TRANSPORT}".`)
+  }
+}
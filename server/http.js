@@ -0,0 +1,52 @@
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+export function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+// Resolves to the parsed body, which has to be a JSON object.
+export function readJson(req, { limit = 16 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    let size = 0
+    const chunks = []
+    const onData = (chunk) => {
+      size += chunk.length
+      if (size > limit) {
+        // Discard the rest instead of destroying the socket, so the caller's
+        // 413 still reaches the client.
+        req.off('data', onData)
+        req.resume()
+        reject(new HttpError(413, 'Request body is too large.'))
+        return
+      }
+      chunks.push(chunk)
+    }
+    req.on('data', onData)
+    req.on('end', () => {
+      if (size > limit) return
+      let body
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')
+      } catch {
+        return reject(new HttpError(400, 'Request body must be JSON.'))
+      }
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        return reject(new HttpError(400, 'Request body must be a JSON object.'))
+      }
+      resolve(body)
+    })
+    req.on('error', reject)
+  })
+}
+
+export function clientIp(req, { trustProxy = false } = {}) {
+  const forwarded = req.headers['x-forwarded-for']
+  if (trustProxy && forwarded) return String(forwarded).split(',')[0].trim()
+  return req.socket.remoteAddress ?? 'unknown'
+}
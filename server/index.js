@@ -0,0 +1,11 @@
+import http from 'node:http'
+import { createApi } from './api.js'
+import { sendJson } from './http.js'
+
+// Standalone API server for deployments without Vite: `npm run api`.
+const port = Number(process.env.PORT ?? 8787)
+const api = createApi()
+
+http
+  .createServer((req, res) => api(req, res, () => sendJson(res, 404, { error: 'Not found.' })))
+  .listen(port, () => console.log(`API listening on http://localhost:${port}`))
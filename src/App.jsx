@@ -1,57 +1,79 @@
-import React, { useRef, useEffect, useState, Suspense } from 'react'
+import React, { useRef, useEffect, useState, useCallback, Suspense } from 'react'
 import { Canvas, useFrame } from '@react-three/fiber'
-import { useGLTF, useAnimations, OrbitControls, Stars, PerspectiveCamera, Float } from '@react-three/drei'
-import * as THREE from 'three'
+import { useAnimations, Stars, PerspectiveCamera, Float } from '@react-three/drei'
+import content from './content/portfolio.json'
+import { initialScene, pushScene, useSceneRoute } from './router.js'
+import { sceneMeta } from './static/seo.js'
+import ContactForm from './contact/ContactForm.jsx'
+import { ProjectCard, RichText, SkillBar } from './ui/content.jsx'
+import { prefetchScene, useSceneModel, waitForScene } from './loader/models.js'
+import LoadingScreen from './loader/LoadingScreen.jsx'
+import { NEXT_SCENE, SCENE_LABELS } from './scenes.js'
+import { useQuality } from './perf/quality.js'
+import PerformanceGovernor from './perf/PerformanceGovernor.jsx'
+import QualityMenu from './perf/QualityMenu.jsx'
+import { useMotion } from './a11y/motion.js'
+import MotionMenu from './a11y/MotionMenu.jsx'
+import { useTheme } from './theme/theme.js'
+import ThemeMenu from './theme/ThemeMenu.jsx'
+import { useViewport } from './viewport/viewport.js'
+import { useAnalytics, useSceneTiming } from './analytics/analytics.js'
+import AnalyticsMenu from './analytics/AnalyticsMenu.jsx'
+import ConsentPrompt from './analytics/ConsentPrompt.jsx'
+import { useSound, useSoundscape } from './audio/sound.js'
+import SoundMenu from './audio/SoundMenu.jsx'
+import CameraRig from './camera/CameraRig.jsx'
+import StarMap from './nav/StarMap.jsx'
+import { useVisitedScenes } from './nav/visited.js'
+import ProjectDetail from './projects/ProjectDetail.jsx'
+import ProjectShowcase from './projects/ProjectShowcase.jsx'
+import SceneErrorBoundary from './scene3d/SceneErrorBoundary.jsx'
+import { FallbackBlackHole, FallbackCrystal, FallbackEarth, FallbackWormhole } from './scene3d/fallbacks.jsx'
 
 // --- 3D COMPONENTS ---
 
-function CameraManager({ speed, isJumping }) {
-  useFrame((state) => {
-    if (speed > 1 && !isJumping) {
-      state.camera.position.x += (Math.random() - 0.5) * (speed * 0.015)
-      state.camera.position.y += (Math.random() - 0.5) * (speed * 0.015)
-    }
-    const targetFOV = isJumping ? 140 : 75
-    state.camera.fov = THREE.MathUtils.lerp(state.camera.fov, targetFOV, 0.05)
-    state.camera.updateProjectionMatrix()
-  })
-  return null
-}
-
 function SpaceShip({ speed }) {
-  const { scene, animations } = useGLTF('/space_travel.glb')
+  const { scene, animations } = useSceneModel('travel')
   const { actions } = useAnimations(animations, scene)
   useEffect(() => { if (actions) Object.values(actions)[0].play().setEffectiveTimeScale(speed) }, [actions, speed])
   return <Float speed={speed}><primitive object={scene} /></Float>
 }
 
 function BlackHole() {
-  const { scene } = useGLTF('/black_hole.glb')
-  const scale = window.innerWidth < 768 ? 1.5 : 2.5
+  const { scene } = useSceneModel('blackhole')
+  const { isMobile } = useViewport()
+  const scale = isMobile ? 1.5 : 2.5
   return <Float speed={1}><primitive object={scene} scale={scale} position={[0, -1, -8]} /></Float>
 }
 
 function WormholeModel() {
-  const { scene } = useGLTF('/wormhole.glb')
+  const { scene } = useSceneModel('wormhole')
+  const { isMobile } = useViewport()
   const ref = useRef()
   useFrame(() => (ref.current.rotation.z += 0.005)) 
-  return <primitive ref={ref} object={scene} scale={window.innerWidth < 768 ? 10 : 15} position={[0, 0, -20]} rotation={[Math.PI / 2, 0, 0]} />
+  return <primitive ref={ref} object={scene} scale={isMobile ? 10 : 15} position={[0, 0, -20]} rotation={[Math.PI / 2, 0, 0]} />
 }
 
 function EarthModel() {
-  const { scene } = useGLTF('/earth.glb')
+  const { scene } = useSceneModel('earth')
+  const { tier } = useQuality()
+  const { theme } = useTheme()
+  const { isMobile } = useViewport()
   const ref = useRef()
   useFrame(() => { if (ref.current) ref.current.rotation.y += 0.003 })
   return (
     <group>
-      <pointLight position={[5, 5, 5]} intensity={3} color="cyan" />
-      <primitive ref={ref} object={scene} scale={window.innerWidth < 768 ? 2 : 3.5} position={[0, 0, 0]} />
+      {tier.sceneLights && <pointLight position={[5, 5, 5]} intensity={3} color={theme.three.light} />}
+      <primitive ref={ref} object={scene} scale={isMobile ? 2 : 3.5} position={[0, 0, 0]} />
     </group>
   )
 }
 
 function ProjectSceneModel() {
-  const { scene } = useGLTF('/scence5.glb')
+  const { scene } = useSceneModel('projects')
+  const { tier } = useQuality()
+  const { theme } = useTheme()
+  const { isMobile } = useViewport()
   const ref = useRef()
   useFrame((state) => {
     if (ref.current) {
@@ -60,16 +82,18 @@ function ProjectSceneModel() {
   })
   return (
     <group>
-      <spotLight position={[10, 10, 10]} intensity={5} color="cyan" />
-      <primitive ref={ref} object={scene} scale={window.innerWidth < 768 ? 4 : 6} position={[0, -2, 2]} />
+      {tier.sceneLights && <spotLight position={[10, 10, 10]} intensity={5} color={theme.three.light} castShadow={tier.shadows} />}
+      <primitive ref={ref} object={scene} scale={isMobile ? 4 : 6} position={[0, -2, 2]} />
     </group>
   )
 }
 
 function ContactModel() {
-  const { scene } = useGLTF('/scence6.glb') 
+  const { scene } = useSceneModel('contact')
+  const { tier } = useQuality()
+  const { theme } = useTheme()
   const ref = useRef()
-  const isMobile = window.innerWidth < 768
+  const { isMobile } = useViewport()
   const dynamicScale = isMobile ? 2 : 3
   useFrame((state) => {
     if (ref.current) {
@@ -78,62 +102,134 @@ function ContactModel() {
   })
   return (
     <group>
-      <pointLight position={[5, 5, 5]} intensity={5} color="cyan" />
+      {tier.sceneLights && <pointLight position={[5, 5, 5]} intensity={5} color={theme.three.light} />}
       <primitive ref={ref} object={scene} scale={dynamicScale} position={[0, 0, 0]} />
     </group>
   )
 }
 
-// --- UI COMPONENTS ---
-
-const SkillBar = ({ name, percent }) => (
-  <div style={{ marginBottom: '15px', textAlign: 'left' }}>
-    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
-      <span style={{ fontSize: '0.9rem' }}>{name}</span>
-      <span style={{ color: 'cyan', fontSize: '0.9rem' }}>{percent}%</span>
-    </div>
-    <div style={{ width: '100%', height: '6px', background: 'rgba(255,255,255,0.1)', borderRadius: '10px' }}>
-      <div style={{ width: `${percent}%`, height: '100%', background: 'cyan', borderRadius: '10px', boxShadow: '0 0 10px cyan' }}></div>
-    </div>
-  </div>
-)
-
-const ProjectCard = ({ title, role, desc, tags, code, demo }) => (
-  <div className="project-card">
-    <h3 style={{ color: 'cyan', marginBottom: '5px' }}>{title}</h3>
-    <p style={{ fontSize: '0.8rem', color: '#00ffff', opacity: 0.8, marginBottom: '10px', textTransform: 'uppercase' }}>{role}</p>
-    <p style={{ fontSize: '0.95rem', opacity: 0.9, marginBottom: '15px' }}>{desc}</p>
-    <div style={{ marginBottom: '20px' }}>
-      {tags.map(tag => <span key={tag} className="tag">{tag}</span>)}
-    </div>
-    <div style={{ display: 'flex', gap: '15px' }}>
-      <a href={code} target="_blank" rel="noreferrer" className="proj-link">CODE</a>
-      <a href={demo} target="_blank" rel="noreferrer" className="proj-link demo">DEMO</a>
-    </div>
-  </div>
-)
+// Procedural stand-in for a scene whose model failed to load.
+function SceneFallback({ scene }) {
+  const { isMobile } = useViewport()
+  switch (scene) {
+    case 'blackhole': return <FallbackBlackHole scale={isMobile ? 1.5 : 2.5} />
+    case 'wormhole': return <FallbackWormhole scale={isMobile ? 10 : 15} />
+    case 'earth': return <FallbackEarth scale={isMobile ? 2 : 3.5} />
+    case 'projects': return <FallbackCrystal scale={isMobile ? 4 : 6} position={[0, -2, 2]} />
+    case 'contact': return <FallbackCrystal scale={isMobile ? 2 : 3} />
+    default: return <FallbackCrystal scale={3} />
+  }
+}
 
 // --- MAIN APP ---
 
 export default function App() {
-  const [speed, setSpeed] = useState(1)
-  const [currentScene, setCurrentScene] = useState('travel')
+  // A deep link lands directly on its scene, skipping the joystick intro.
+  const [currentScene, setCurrentScene] = useState(initialScene)
+  const [bootScene] = useState(currentScene)
+  const [visited, markVisited] = useVisitedScenes(currentScene)
+  const [openSlug, setOpenSlug] = useState(null)
+  const openProject = content.projects.find(p => p.slug === openSlug)
+  const { tier, antialias } = useQuality()
+  const [speed, setSpeed] = useState(currentScene === 'travel' ? 1 : 0.2)
   const [isJumping, setIsJumping] = useState(false)
   const [flash, setFlash] = useState(false)
   const [isHolding, setIsHolding] = useState(false)
+  const [announcement, setAnnouncement] = useState('')
+  const { reduced } = useMotion()
+  const { theme } = useTheme()
+  const { isMobile, pointer } = useViewport()
+  const { track } = useAnalytics()
+  const { play } = useSound()
+  const headingSize = isMobile ? '2.5rem' : '3.5rem'
   const timerRef = useRef(null)
+  const chargeRef = useRef(null)
+  // When the joystick hold started, for the warp funnel.
+  const holdStartRef = useRef(0)
+  const stopChargeSoundRef = useRef(() => {})
+  const headingRef = useRef(null)
+  const rootRef = useRef(null)
+  // How far the scene's overlay is scrolled (0..1); drives the camera rig.
+  const scrollProgressRef = useRef(0)
+  const hasArrivedRef = useRef(false)
+  // Scene we are in or currently warping to; a newer jump cancels an older one.
+  const targetRef = useRef(currentScene)
+
+  const arrive = (nextScene) => {
+    setCurrentScene(nextScene); setIsJumping(false)
+    setOpenSlug(null)
+    markVisited(nextScene)
+    pushScene(nextScene)
+    setSpeed(nextScene === 'travel' ? 1 : 0.2)
+    play('arrive')
+    setAnnouncement(`Arrived at ${SCENE_LABELS[nextScene]}`)
+  }
 
   const handleJump = (nextScene) => {
+    if (nextScene === targetRef.current) return
+    targetRef.current = nextScene
     setIsJumping(true); setSpeed(12)
-    setTimeout(() => {
+    // Keep warping until the destination model is downloaded, so the flash
+    // reveals a finished scene rather than an empty starfield.
+    Promise.all([waitForScene(nextScene, tier.lod), new Promise(resolve => setTimeout(resolve, 1000))]).then(() => {
+      if (targetRef.current !== nextScene) return
       setFlash(true)
+      play('flash')
       setTimeout(() => {
-        setCurrentScene(nextScene); setIsJumping(false)
-        setSpeed(nextScene === 'travel' ? 1 : 0.2)
-        window.scrollTo(0, 0)
+        if (targetRef.current !== nextScene) return
+        arrive(nextScene)
+        // Reset the overlay while the flash hides it; the camera rig then
+        // eases to the new scene's first keyframe instead of snapping.
+        rootRef.current.scrollTop = 0
+        scrollProgressRef.current = 0
         setTimeout(() => setFlash(false), 800)
       }, 200)
-    }, 1000)
+    })
+  }
+
+  // Fetch the scene we're in first, then get the next stop on the tour ready.
+  useEffect(() => {
+    prefetchScene(currentScene, tier.lod)
+      .catch(() => {})
+      .then(() => prefetchScene(NEXT_SCENE[currentScene], tier.lod))
+      .catch(() => {})
+  }, [currentScene, tier.lod])
+
+  // Back/forward and hand-edited URLs still warp through handleJump.
+  useSceneRoute(handleJump)
+
+  useEffect(() => {
+    document.title = sceneMeta(currentScene).title
+  }, [currentScene])
+
+  useSceneTiming(currentScene)
+  useSoundscape(currentScene, speed)
+
+  // Move focus to the new scene's heading so keyboard and screen reader users
+  // start reading from the top. Skipped on first load to leave focus alone.
+  useEffect(() => {
+    if (!hasArrivedRef.current) {
+      hasArrivedRef.current = true
+      return
+    }
+    headingRef.current?.focus({ preventScroll: true })
+  }, [currentScene])
+
+  const onScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget
+    scrollProgressRef.current = scrollHeight > clientHeight ? scrollTop / (scrollHeight - clientHeight) : 0
+  }
+
+  const closeProject = useCallback(() => setOpenSlug(null), [])
+
+  // Skip link: drop straight into the profile without the warp sequence.
+  const skipToContent = (e) => {
+    e.preventDefault()
+    if (currentScene !== 'travel') return headingRef.current?.focus()
+    clearTimeout(timerRef.current); clearInterval(chargeRef.current)
+    setIsHolding(false)
+    targetRef.current = 'blackhole'
+    arrive('blackhole')
   }
 
   // Joystick Logic
@@ -141,100 +237,130 @@ export default function App() {
     if (e.cancelable) e.preventDefault();
     setIsHolding(true);
     setSpeed(8);
+    holdStartRef.current = performance.now();
+    stopChargeSoundRef.current = play('charge', { seconds: 4 });
+    setAnnouncement('Warp drive charging. Keep holding.');
+    let charge = 0;
+    chargeRef.current = setInterval(() => {
+      charge += 25;
+      setAnnouncement(`Warp charge ${charge}%`);
+    }, 1000);
     timerRef.current = setTimeout(() => {
+      clearInterval(chargeRef.current);
+      stopChargeSoundRef.current();
+      setAnnouncement('Warp charged. Jumping.');
+      track('warp_complete', { heldMs: Math.round(performance.now() - holdStartRef.current) });
       handleJump('blackhole');
       setIsHolding(false);
     }, 4000);
   };
 
   const stopWarp = () => {
+    if (!isHolding) return;
     clearTimeout(timerRef.current);
+    clearInterval(chargeRef.current);
+    stopChargeSoundRef.current();
     setIsHolding(false);
     setSpeed(1);
+    setAnnouncement('Warp cancelled.');
+    track('warp_abandon', { heldMs: Math.round(performance.now() - holdStartRef.current) });
+  };
+
+  // Space or Enter works like pressing and holding the joystick.
+  const isHoldKey = (e) => e.key === ' ' || e.key === 'Enter'
+  const onJoystickKeyDown = (e) => {
+    if (!isHoldKey(e)) return
+    e.preventDefault();
+    if (!e.repeat && !isHolding) startWarp(e);
+  };
+  const onJoystickKeyUp = (e) => {
+    if (isHoldKey(e)) stopWarp();
   };
 
   return (
-    <div style={{ 
-      width: '100vw', height: '100vh', background: '#000', position: 'relative', 
-      overflowY: currentScene === 'travel' ? 'hidden' : 'auto', color: 'white', fontFamily: '"Inter", sans-serif' 
+    <div ref={rootRef} onScroll={onScroll} className={reduced ? 'reduce-motion' : undefined} style={{ 
+      width: '100vw', height: '100vh', background: 'var(--bg)', position: 'relative', 
+      overflowY: currentScene === 'travel' ? 'hidden' : 'auto', color: 'var(--text)', fontFamily: '"Inter", sans-serif' 
     }}>
+      <a href="#main-content" className="skip-link" onClick={skipToContent}>Skip 3D intro</a>
+      <div className="sr-only" aria-live="polite" aria-atomic="true">{announcement}</div>
       
-      <style dangerouslySetInnerHTML={{__html: `
-        @keyframes fadeIn { from { opacity: 0; transform: translateY(30px); } to { opacity: 1; transform: translateY(0); } }
-        @keyframes pulse { 0% { box-shadow: 0 0 10px cyan; } 50% { box-shadow: 0 0 30px cyan; } 100% { box-shadow: 0 0 10px cyan; } }
-        .stat-card { background: rgba(255,255,255,0.05); padding: 20px; border-radius: 15px; border: 1px solid rgba(0,255,255,0.2); backdrop-filter: blur(10px); flex: 1; text-align: center; }
-        .timeline-container { position: relative; max-width: 800px; margin: 40px auto; padding-left: 30px; border-left: 2px solid cyan; text-align: left; }
-        .timeline-item { position: relative; margin-bottom: 40px; animation: fadeIn 1s ease-out forwards; }
-        .timeline-dot { position: absolute; left: -41px; top: 5px; width: 20px; height: 20px; background: cyan; border-radius: 50%; box-shadow: 0 0 10px cyan; }
-        .grid-container { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 20px; margin-top: 30px; width: 100%; }
-        .skill-box { background: rgba(0,0,0,0.7); padding: 25px; border-radius: 20px; border: 1px solid rgba(0,255,255,0.2); backdrop-filter: blur(12px); }
-        .tag { display: inline-block; background: rgba(0,255,255,0.1); border: 1px solid cyan; padding: 4px 10px; border-radius: 20px; margin: 4px; font-size: 0.75rem; }
-        .project-card { background: rgba(255,255,255,0.03); border: 1px solid rgba(255,255,255,0.1); padding: 30px; border-radius: 24px; backdrop-filter: blur(10px); transition: 0.3s; text-align: left; animation: fadeIn 1s forwards; }
-        .project-card:hover { border-color: cyan; transform: translateY(-5px); background: rgba(0,255,255,0.05); }
-        .proj-link { color: cyan; text-decoration: none; font-weight: bold; font-size: 0.8rem; border-bottom: 1px solid cyan; padding-bottom: 2px; }
-        .input-field { width: 100%; background: rgba(255,255,255,0.05); border: 1px solid rgba(0,255,255,0.2); padding: 12px; border-radius: 8px; color: white; margin-bottom: 15px; outline: none; }
-        .contact-btn { width: 100%; padding: 15px; background: cyan; color: black; border: none; border-radius: 8px; font-weight: bold; cursor: pointer; transition: 0.3s; }
-        .joystick { 
-          width: 120px; height: 120px; border-radius: 50%; border: 2px solid cyan; 
-          display: flex; align-items: center; justify-content: center; cursor: pointer;
-          position: relative; transition: 0.3s; user-select: none; -webkit-tap-highlight-color: transparent;
-        }
-        .joystick.active { animation: pulse 1s infinite; background: rgba(0,255,255,0.2); transform: scale(0.95); }
-
-        @media (max-width: 768px) {
-          h1 { font-size: 2rem !important; }
-          h2 { font-size: 1.1rem !important; padding: 0 10px; }
-          canvas { pointer-events: none !important; }
-          .grid-container { grid-template-columns: 1fr !important; }
-        }
-      `}} />
-
-      <div style={{ position: 'fixed', inset: 0, background: 'white', zIndex: 100, pointerEvents: 'none', transition: 'opacity 0.8s', opacity: flash ? 1 : 0 }} />
+
+      <LoadingScreen scene={bootScene} lod={tier.lod} />
+
+      <ConsentPrompt />
+
+      <StarMap currentScene={currentScene} visited={visited} onJump={handleJump} />
+
+      <div style={{ position: 'fixed', right: '15px', bottom: '15px', zIndex: 50, display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: '8px' }}>
+        <QualityMenu />
+        <MotionMenu />
+        <ThemeMenu />
+        <AnalyticsMenu />
+        <SoundMenu />
+      </div>
+
+      <div style={{ position: 'fixed', inset: 0, background: 'var(--flash)', zIndex: 100, pointerEvents: 'none', transition: 'opacity 0.8s', opacity: flash && !reduced ? 1 : 0 }} />
 
       <div style={{ position: 'fixed', inset: 0, zIndex: 1 }}>
-        <Canvas>
-          <PerspectiveCamera makeDefault position={[0, 0, 10]} fov={window.innerWidth < 768 ? 90 : 75} />
-          <CameraManager speed={speed} isJumping={isJumping} />
-          <Stars radius={100} count={isJumping ? 15000 : 5000} speed={speed} />
-          <ambientLight intensity={1.5} />
+        {/* antialias is fixed when the WebGL context is created, so changing it remounts the Canvas */}
+        <Canvas key={antialias ? 'aa' : 'no-aa'} dpr={tier.dpr} shadows={tier.shadows} gl={{ antialias }}>
+          <PerformanceGovernor />
+          <PerspectiveCamera makeDefault position={[0, 0, 10]} fov={isMobile ? 90 : 75} />
+          <CameraRig
+            scene={currentScene} scrollRef={scrollProgressRef} speed={speed} isJumping={isJumping}
+            enableZoom={currentScene === 'contact'} enableRotate={currentScene !== 'travel' && !isMobile}
+          />
+          {theme.three.stars && <Stars radius={100} count={isJumping ? tier.warpStars : tier.stars} speed={speed} />}
+          <ambientLight intensity={theme.three.ambient} />
           <Suspense fallback={null}>
-            {currentScene === 'travel' && <SpaceShip speed={speed} />}
-            {currentScene === 'blackhole' && <BlackHole />}
-            {currentScene === 'wormhole' && <WormholeModel />}
-            {currentScene === 'earth' && <EarthModel />}
-            {currentScene === 'projects' && <ProjectSceneModel />}
-            {currentScene === 'contact' && <ContactModel />}
+            <SceneErrorBoundary key={currentScene} scene={currentScene} fallback={<SceneFallback scene={currentScene} />}>
+              {currentScene === 'travel' && <SpaceShip speed={speed} />}
+              {currentScene === 'blackhole' && <BlackHole />}
+              {currentScene === 'wormhole' && <WormholeModel />}
+              {currentScene === 'earth' && <EarthModel />}
+              {currentScene === 'projects' && (!openProject?.model || openProject.modelMode === 'orbit') && <ProjectSceneModel />}
+              {currentScene === 'contact' && <ContactModel />}
+            </SceneErrorBoundary>
           </Suspense>
-          <OrbitControls enableZoom={currentScene === 'contact'} enableRotate={currentScene !== 'travel' && window.innerWidth > 768} enablePan={false} />
+          {currentScene === 'projects' && openProject?.model && <ProjectShowcase project={openProject} />}
         </Canvas>
       </div>
 
+      <main id="main-content">
       {/* --- SCENE 1: TRAVEL (Updated with Joystick) --- */}
       {currentScene === 'travel' && (
         <div style={{ position: 'relative', zIndex: 10, height: '100vh', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', padding: '20px' }}>
-          <h2 style={{ letterSpacing: '1px', textAlign: 'center', maxWidth: '800px', marginBottom: '50px', lineHeight: '1.6' }}>
-            Welcome to my portfolio — a snapshot of my learning, projects, and passion for technology
+          <h2 ref={headingRef} tabIndex={-1} style={{ letterSpacing: '1px', textAlign: 'center', maxWidth: '800px', marginBottom: '50px', lineHeight: '1.6' }}>
+            {content.profile.welcome}
           </h2>
           
-          <div 
+          <button
+            type="button"
             className={`joystick ${isHolding ? 'active' : ''}`}
+            aria-describedby="joystick-help"
+            aria-pressed={isHolding}
             onMouseDown={startWarp} 
             onMouseUp={stopWarp} 
             onMouseLeave={stopWarp}
             onTouchStart={startWarp} 
             onTouchEnd={stopWarp}
+            onKeyDown={onJoystickKeyDown}
+            onKeyUp={onJoystickKeyUp}
+            onBlur={stopWarp}
           >
             <div style={{ textAlign: 'center' }}>
-              <div style={{ fontSize: '0.7rem', color: 'cyan', fontWeight: 'bold' }}>
+              <div style={{ fontSize: '0.7rem', color: 'var(--accent)', fontWeight: 'bold' }}>
                 {isHolding ? 'WARP DRIVE' : 'HOLD TO'}
               </div>
-              <div style={{ fontSize: '1.1rem', color: 'white', fontWeight: '900' }}>
+              <div style={{ fontSize: '1.1rem', color: 'var(--text)', fontWeight: '900' }}>
                 {isHolding ? 'ACTIVE' : 'JUMP'}
               </div>
             </div>
-          </div>
+          </button>
+          <p id="joystick-help" className="sr-only">Press and hold for 4 seconds, or hold Space or Enter, to warp to the profile.</p>
           <p style={{ marginTop: '20px', opacity: 0.5, fontSize: '0.8rem', letterSpacing: '2px' }}>
-            {window.innerWidth < 768 ? "PRESS & HOLD CIRCLE" : "CLICK & HOLD CIRCLE"}
+            {pointer === 'coarse' ? "PRESS & HOLD CIRCLE" : "CLICK & HOLD CIRCLE"}
           </p>
         </div>
       )}
@@ -242,12 +368,12 @@ export default function App() {
       {/* --- SCENE 2: PROFILE --- */}
       {currentScene === 'blackhole' && (
         <div style={{ position: 'relative', zIndex: 10, width: '100%', textAlign: 'center', padding: '60px 20px' }}>
-           <div style={{ width: window.innerWidth < 768 ? '180px' : '250px', height: window.innerWidth < 768 ? '180px' : '250px', borderRadius: '50%', border: '5px solid cyan', overflow: 'hidden', margin: '0 auto 30px', boxShadow: '0 0 30px cyan' }}>
-              <img src="/Profile.jpeg" alt="Profile" style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+           <div style={{ width: isMobile ? '180px' : '250px', height: isMobile ? '180px' : '250px', borderRadius: '50%', border: '5px solid var(--accent)', overflow: 'hidden', margin: '0 auto 30px', boxShadow: '0 0 30px var(--accent)' }}>
+              <img src={content.profile.photo} alt="Profile" style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
            </div>
-           <h1>Hello, I'm <span style={{ color: 'cyan' }}>Pandranki Sai Lalith</span></h1>
-           <p style={{ maxWidth: '600px', margin: '20px auto', opacity: 0.8 }}>B.Tech ECE Student | IoT & AI Enthusiast</p>
-           <button onClick={() => handleJump('wormhole')} style={{ marginTop: '50px', padding: '15px 50px', background: 'cyan', color: 'black', border: 'none', borderRadius: '50px', fontWeight: 'bold', cursor: 'pointer' }}>MY JOURNEY</button>
+           <h1 ref={headingRef} tabIndex={-1}>Hello, I'm <span style={{ color: 'var(--accent)' }}>{content.profile.name}</span></h1>
+           <p style={{ maxWidth: '600px', margin: '20px auto', opacity: 0.8 }}>{content.profile.tagline}</p>
+           <button onClick={() => handleJump('wormhole')} style={{ marginTop: '50px', padding: '15px 50px', background: 'var(--accent)', color: 'var(--on-accent)', border: 'none', borderRadius: '50px', fontWeight: 'bold', cursor: 'pointer' }}>MY JOURNEY</button>
         </div>
       )}
 
@@ -255,19 +381,19 @@ export default function App() {
       {currentScene === 'wormhole' && (
         <div style={{ position: 'relative', zIndex: 10, width: '100%', textAlign: 'center', padding: '60px 0' }}>
           <div style={{ animation: 'fadeIn 1s forwards', maxWidth: '900px', margin: '0 auto', padding: '0 20px' }}>
-            <h1 style={{ fontSize: window.innerWidth < 768 ? '2.5rem' : '3.5rem', color: 'cyan', textShadow: '0 0 20px cyan' }}>My Journey</h1>
-            <div style={{ background: 'rgba(0,0,0,0.6)', padding: '30px', borderRadius: '20px', backdropFilter: 'blur(10px)', border: '1px solid rgba(255,255,255,0.1)', textAlign: 'left', marginBottom: '50px' }}>
+            <h1 ref={headingRef} tabIndex={-1} style={{ fontSize: headingSize, color: 'var(--accent)', textShadow: '0 0 20px var(--accent)' }}>My Journey</h1>
+            <div style={{ background: 'rgba(var(--shade-rgb), 0.6)', padding: '30px', borderRadius: '20px', backdropFilter: 'blur(10px)', border: '1px solid rgba(var(--fg-rgb), 0.1)', textAlign: 'left', marginBottom: '50px' }}>
               <p style={{ fontSize: '1.1rem', lineHeight: '1.7' }}>
-                I'm a final-year B.Tech student in <b>Electronics and Communication Engineering at MVGR College of Engineering</b>. I specialize in bridging the gap between hardware and software, creating intelligent systems that solve real-world problems.
+                <RichText text={content.about} />
               </p>
             </div>
-            <h2 style={{ color: 'cyan', letterSpacing: '4px' }}>EDUCATION TIMELINE</h2>
+            <h2 style={{ color: 'var(--accent)', letterSpacing: '4px' }}>EDUCATION TIMELINE</h2>
             <div className="timeline-container">
-              <div className="timeline-item"><div className="timeline-dot" /><h3 style={{ color: 'cyan', margin: '0' }}>Ravindhra Bharathi School</h3><span style={{ opacity: 0.6 }}>2010 - 2020</span><p>Foundation education with focus on mathematics and sciences.</p></div>
-              <div className="timeline-item"><div className="timeline-dot" /><h3 style={{ color: 'cyan', margin: '0' }}>Sri Gayatri Junior College</h3><span style={{ opacity: 0.6 }}>2020 - 2022</span><p>Intermediate MPC education.</p></div>
-              <div className="timeline-item"><div className="timeline-dot" /><h3 style={{ color: 'cyan', margin: '0' }}>MVGR College of Engineering</h3><span style={{ opacity: 0.6 }}>2022 - 2026</span><p>B.Tech in ECE.</p></div>
+              {content.education.map(({ school, period, summary }) => (
+                <div key={school} className="timeline-item"><div className="timeline-dot" /><h3 style={{ color: 'var(--accent)', margin: '0' }}>{school}</h3><span style={{ opacity: 0.6 }}>{period}</span><p>{summary}</p></div>
+              ))}
             </div>
-            <button onClick={() => handleJump('earth')} style={{ padding: '20px 60px', background: 'cyan', borderRadius: '50px', fontWeight: 'bold', border: 'none', cursor: 'pointer' }}>VIEW TECHNICAL SKILLS</button>
+            <button onClick={() => handleJump('earth')} style={{ padding: '20px 60px', background: 'var(--accent)', color: 'var(--on-accent)', borderRadius: '50px', fontWeight: 'bold', border: 'none', cursor: 'pointer' }}>VIEW TECHNICAL SKILLS</button>
           </div>
         </div>
       )}
@@ -276,14 +402,13 @@ export default function App() {
       {currentScene === 'earth' && (
         <div style={{ position: 'relative', zIndex: 10, width: '100%', textAlign: 'center', padding: '60px 20px' }}>
           <div style={{ animation: 'fadeIn 1s forwards', maxWidth: '1100px', margin: '0 auto' }}>
-            <h1 style={{ fontSize: window.innerWidth < 768 ? '2.5rem' : '3.5rem', color: 'cyan' }}>Technical Skills</h1>
+            <h1 ref={headingRef} tabIndex={-1} style={{ fontSize: headingSize, color: 'var(--accent)' }}>Technical Skills</h1>
             <div className="grid-container">
-              <div className="skill-box"><h3 style={{ color: 'cyan' }}>Programming</h3><SkillBar name="Python" percent={90} /><SkillBar name="C/C++" percent={85} /><SkillBar name="JavaScript" percent={80} /><SkillBar name="Java" percent={75} /></div>
-              <div className="skill-box"><h3 style={{ color: 'cyan' }}>Web Tech</h3><SkillBar name="HTML/CSS" percent={90} /><SkillBar name="Django" percent={80} /><SkillBar name="React" percent={75} /><SkillBar name="Node.js" percent={70} /></div>
-              <div className="skill-box"><h3 style={{ color: 'cyan' }}>Hardware/IoT</h3><SkillBar name="IoT Systems" percent={85} /><SkillBar name="Arduino" percent={85} /><SkillBar name="ARM7/8051" percent={80} /><SkillBar name="PCB Design" percent={70} /></div>
-              <div className="skill-box"><h3 style={{ color: 'cyan' }}>AI & Cloud</h3><SkillBar name="Machine Learning" percent={80} /><SkillBar name="Deep Learning" percent={75} /><SkillBar name="Computer Vision" percent={75} /><SkillBar name="AWS" percent={70} /></div>
+              {content.skillGroups.map(({ title, skills }) => (
+                <div key={title} className="skill-box"><h3 style={{ color: 'var(--accent)' }}>{title}</h3>{skills.map(skill => <SkillBar key={skill.name} {...skill} />)}</div>
+              ))}
             </div>
-            <button onClick={() => handleJump('projects')} style={{ marginTop: '60px', padding: '20px 60px', background: 'cyan', borderRadius: '50px', fontWeight: 'bold', border: 'none', cursor: 'pointer' }}>EXPLORE PROJECTS</button>
+            <button onClick={() => handleJump('projects')} style={{ marginTop: '60px', padding: '20px 60px', background: 'var(--accent)', color: 'var(--on-accent)', borderRadius: '50px', fontWeight: 'bold', border: 'none', cursor: 'pointer' }}>EXPLORE PROJECTS</button>
           </div>
         </div>
       )}
@@ -292,49 +417,46 @@ export default function App() {
       {currentScene === 'projects' && (
         <div style={{ position: 'relative', zIndex: 10, width: '100%', textAlign: 'center', padding: '60px 20px' }}>
           <div style={{ maxWidth: '1100px', margin: '0 auto' }}>
-            <h1 style={{ fontSize: window.innerWidth < 768 ? '2.5rem' : '3.5rem', color: 'cyan', textShadow: '0 0 20px cyan' }}>Featured Projects</h1>
+            <h1 ref={headingRef} tabIndex={-1} style={{ fontSize: headingSize, color: 'var(--accent)', textShadow: '0 0 20px var(--accent)' }}>Featured Projects</h1>
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '25px' }}>
-              <ProjectCard title="Gait Recognition using GaitFormer" role="ML Research Intern" desc="Advanced ML for human gait recognition using transformers at NIT Warangal." tags={["Python", "PyTorch", "Deep Learning"]} code="#" demo="#" />
-              <ProjectCard title="LPG/Smoke Detector" role="Hardware Developer" desc="IoT system for detecting gas leaks using ARM7." tags={["ARM7", "C", "IoT"]} code="#" demo="#" />
-              <ProjectCard title="0-10V Digital Voltmeter" role="Embedded Developer" desc="Precision voltmeter using 8051 microcontroller." tags={["8051", "C", "Embedded"]} code="#" demo="#" />
-              <ProjectCard title="Traffic Management System" role="IoT Developer" desc="Smart city automation project using Arduino." tags={["Arduino", "C++", "Sensors"]} code="#" demo="#" />
-              <ProjectCard title="Blender 3D Model" role="3D Designer" desc="Creative 3D modeling and visualization project." tags={["Blender", "3D", "Animation"]} code="#" demo="#" />
+              {content.projects.map(project => <ProjectCard key={project.slug} {...project} onOpen={() => setOpenSlug(project.slug)} />)}
             </div>
-            <button onClick={() => handleJump('contact')} style={{ marginTop: '80px', padding: '20px 60px', background: 'cyan', color: 'black', borderRadius: '50px', fontWeight: 'bold', border: 'none', cursor: 'pointer' }}>GET IN TOUCH</button>
+            <button onClick={() => handleJump('contact')} style={{ marginTop: '80px', padding: '20px 60px', background: 'var(--accent)', color: 'var(--on-accent)', borderRadius: '50px', fontWeight: 'bold', border: 'none', cursor: 'pointer' }}>GET IN TOUCH</button>
           </div>
         </div>
       )}
+      {currentScene === 'projects' && openProject && <ProjectDetail project={openProject} onClose={closeProject} />}
 
       {/* --- SCENE 6: CONTACT --- */}
       {currentScene === 'contact' && (
         <div style={{ position: 'relative', zIndex: 10, width: '100%', padding: '60px 20px', animation: 'fadeIn 1s forwards' }}>
           <div style={{ maxWidth: '1100px', margin: '0 auto' }}>
-            <h1 style={{ fontSize: window.innerWidth < 768 ? '2.5rem' : '3.5rem', color: 'cyan', textAlign: 'center', textShadow: '0 0 20px cyan' }}>Get In Touch</h1>
+            <h1 ref={headingRef} tabIndex={-1} style={{ fontSize: headingSize, color: 'var(--accent)', textAlign: 'center', textShadow: '0 0 20px var(--accent)' }}>Get In Touch</h1>
             <p style={{ textAlign: 'center', fontSize: '1.1rem', marginBottom: '60px', opacity: 0.8 }}>Ready to collaborate on your next project?</p>
 
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '40px' }}>
               <div className="skill-box" style={{ textAlign: 'left' }}>
-                <h2 style={{ color: 'cyan', marginBottom: '25px' }}>Send a Message</h2>
-                <form onSubmit={(e) => e.preventDefault()}>
-                  <label>Name</label><input type="text" className="input-field" placeholder="Your Name" />
-                  <label>Email</label><input type="email" className="input-field" placeholder="your@email.com" />
-                  <label>Subject</label><input type="text" className="input-field" placeholder="Collaboration Idea" />
-                  <label>Message</label><textarea className="input-field" rows="4" placeholder="How can I help you?"></textarea>
-                  <button className="contact-btn">Send Message</button>
-                </form>
+                <h2 style={{ color: 'var(--accent)', marginBottom: '25px' }}>Send a Message</h2>
+                <ContactForm />
               </div>
 
               <div style={{ textAlign: 'left', display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
-                <h2 style={{ color: 'cyan', marginBottom: '20px' }}>Let's Connect</h2>
-                <div className="stat-card" style={{ marginBottom: '15px', textAlign: 'left' }}><h4 style={{ color: 'cyan', margin: '0' }}>Email</h4><p style={{wordBreak: 'break-all'}}>sailalith26@gmail.com</p></div>
-                <div className="stat-card" style={{ marginBottom: '15px', textAlign: 'left' }}><h4 style={{ color: 'cyan', margin: '0' }}>LinkedIn</h4><a href="https://linkedin.com/in/sai-lalith-854784259" target="_blank" rel="noreferrer" style={{ color: 'white', textDecoration: 'none' }}>sai-lalith-854784259</a></div>
-                <div className="stat-card" style={{ textAlign: 'left' }}><h4 style={{ color: 'cyan', margin: '0' }}>GitHub</h4><a href="https://github.com/sai200556" target="_blank" rel="noreferrer" style={{ color: 'white', textDecoration: 'none' }}>github.com/sai200556</a></div>
+                <h2 style={{ color: 'var(--accent)', marginBottom: '20px' }}>Let's Connect</h2>
+                {content.contacts.map(({ label, value, href }, i) => (
+                  <div key={label} className="stat-card" style={{ marginBottom: i < content.contacts.length - 1 ? '15px' : 0, textAlign: 'left' }}>
+                    <h4 style={{ color: 'var(--accent)', margin: '0' }}>{label}</h4>
+                    {href
+                      ? <a href={href} target="_blank" rel="noreferrer" style={{ color: 'var(--text)', textDecoration: 'none' }}>{value}</a>
+                      : <p style={{wordBreak: 'break-all'}}>{value}</p>}
+                  </div>
+                ))}
               </div>
             </div>
-            <button onClick={() => handleJump('travel')} style={{ marginTop: '80px', background: 'transparent', color: 'white', border: '1px solid white', padding: '10px 40px', borderRadius: '5px', cursor: 'pointer', display: 'block', margin: '80px auto 0' }}>RESTART JOURNEY</button>
+            <button onClick={() => handleJump('travel')} style={{ marginTop: '80px', background: 'transparent', color: 'var(--text)', border: '1px solid var(--text)', padding: '10px 40px', borderRadius: '5px', cursor: 'pointer', display: 'block', margin: '80px auto 0' }}>RESTART JOURNEY</button>
           </div>
         </div>
       )}
+      </main>
     </div>
   )
 }
\ No newline at end of file
@@ -0,0 +1,13 @@
+import { MOTION_PREFERENCES, useMotion } from './motion.js'
+
+export default function MotionMenu() {
+  const { preference, setPreference } = useMotion()
+  return (
+    <label className="hud-label">
+      MOTION
+      <select className="hud-select" value={preference} onChange={(e) => setPreference(e.target.value)}>
+        {Object.entries(MOTION_PREFERENCES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+    </label>
+  )
+}
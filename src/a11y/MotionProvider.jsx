@@ -0,0 +1,34 @@
+import { useEffect, useMemo, useState } from 'react'
+import { readSetting, writeSetting } from '../storage.js'
+import { MOTION_PREFERENCES, MotionContext } from './motion.js'
+
+const STORAGE_KEY = 'portfolio:motion'
+const QUERY = '(prefers-reduced-motion: reduce)'
+
+const storedPreference = () => {
+  const value = readSetting(STORAGE_KEY)
+  return value in MOTION_PREFERENCES ? value : 'system'
+}
+
+export default function MotionProvider({ children }) {
+  const [preference, setPreferenceState] = useState(storedPreference)
+  const [systemReduced, setSystemReduced] = useState(() => window.matchMedia(QUERY).matches)
+
+  useEffect(() => {
+    const media = window.matchMedia(QUERY)
+    const onChange = () => setSystemReduced(media.matches)
+    media.addEventListener('change', onChange)
+    return () => media.removeEventListener('change', onChange)
+  }, [])
+
+  const value = useMemo(() => ({
+    preference,
+    reduced: preference === 'system' ? systemReduced : preference === 'reduce',
+    setPreference: (next) => {
+      writeSetting(STORAGE_KEY, next)
+      setPreferenceState(next)
+    },
+  }), [preference, systemReduced])
+
+  return <MotionContext.Provider value={value}>{children}</MotionContext.Provider>
+}
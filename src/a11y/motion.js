@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react'
+
+// `preference` is what the visitor picked: follow the OS setting, or force
+// reduced/full motion. `reduced` is the resolved answer components act on.
+export const MOTION_PREFERENCES = { system: 'System', reduce: 'Reduced', full: 'Full' }
+
+export const MotionContext = createContext({ reduced: false, preference: 'system', setPreference: () => {} })
+
+export const useMotion = () => useContext(MotionContext)
@@ -0,0 +1,15 @@
+import { useAnalytics } from './analytics.js'
+
+export default function AnalyticsMenu() {
+  const { consent, dnt, setConsent } = useAnalytics()
+  if (dnt) return null
+  return (
+    <label className="hud-label">
+      ANALYTICS
+      <select className="hud-select" value={consent === 'granted' ? 'granted' : 'denied'} onChange={(e) => setConsent(e.target.value)}>
+        <option value="granted">On</option>
+        <option value="denied">Off</option>
+      </select>
+    </label>
+  )
+}
@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { readSetting, writeSetting } from '../storage.js'
+import { AnalyticsContext, doNotTrack } from './analytics.js'
+import { createTracker, stripUrl } from './tracker.js'
+
+const STORAGE_KEY = 'portfolio:analytics'
+const ENDPOINT = import.meta.env.VITE_ANALYTICS_ENDPOINT || '/api/analytics'
+
+const storedConsent = () => {
+  const value = readSetting(STORAGE_KEY)
+  return value === 'granted' || value === 'denied' ? value : 'unset'
+}
+
+// Tracks only after the visitor opts in, and never under Do-Not-Track.
+// Outbound link clicks are picked up here for the whole page; a link inside
+// an element with data-project is attributed to that project.
+export default function AnalyticsProvider({ children }) {
+  const [consent, setConsentState] = useState(storedConsent)
+  const [dnt] = useState(doNotTrack)
+  const enabled = consent === 'granted' && !dnt
+  const tracker = useMemo(() => (enabled ? createTracker({ endpoint: ENDPOINT }) : null), [enabled])
+
+  const track = useCallback((type, props) => tracker?.track(type, props), [tracker])
+
+  useEffect(() => {
+    if (!tracker) return
+    const onClick = (e) => {
+      const link = e.target.closest?.('a[href]')
+      if (!link || link.origin === window.location.origin) return
+      if (!['http:', 'https:', 'mailto:'].includes(link.protocol)) return
+      tracker.track('outbound_click', { href: stripUrl(link.href), project: link.closest('[data-project]')?.dataset.project })
+    }
+    document.addEventListener('click', onClick, true)
+    return () => {
+      document.removeEventListener('click', onClick, true)
+      tracker.flush({ beacon: true })
+    }
+  }, [tracker])
+
+  const value = useMemo(() => ({
+    consent,
+    dnt,
+    enabled,
+    track,
+    setConsent: (next) => {
+      // Opting out must not send what was queued before it; the cleanup
+      // above then has nothing left to flush.
+      if (next !== 'granted') tracker?.discard()
+      writeSetting(STORAGE_KEY, next)
+      setConsentState(next)
+    },
+  }), [consent, dnt, enabled, track, tracker])
+
+  return <AnalyticsContext.Provider value={value}>{children}</AnalyticsContext.Provider>
+}
@@ -0,0 +1,19 @@
+import { useAnalytics } from './analytics.js'
+
+// Asks once; the answer can be changed later from AnalyticsMenu.
+export default function ConsentPrompt() {
+  const { consent, dnt, setConsent } = useAnalytics()
+  if (dnt || consent !== 'unset') return null
+  return (
+    <div role="region" aria-label="Analytics consent" className="consent-prompt">
+      <p style={{ margin: '0 0 12px' }}>
+        Can I count anonymous visits? No cookies and nothing that identifies you, just which scenes get reached
+        and which links get followed.
+      </p>
+      <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+        <button type="button" className="hud-btn" onClick={() => setConsent('denied')}>NO THANKS</button>
+        <button type="button" className="hud-btn" onClick={() => setConsent('granted')}>ALLOW</button>
+      </div>
+    </div>
+  )
+}
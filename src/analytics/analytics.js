@@ -0,0 +1,43 @@
+import { createContext, useContext, useEffect } from 'react'
+
+// `consent` is what the visitor answered: 'granted', 'denied' or 'unset'
+// (not asked yet). `dnt` is true when the browser sends Do-Not-Track or
+// Global Privacy Control, in which case nothing is tracked or asked.
+export const AnalyticsContext = createContext({
+  consent: 'unset',
+  dnt: false,
+  enabled: false,
+  setConsent: () => {},
+  track: () => {},
+})
+
+export const useAnalytics = () => useContext(AnalyticsContext)
+
+export const doNotTrack = () =>
+  navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true
+
+// Records entering `scene` and, on leaving it, how long the visitor stayed.
+// Time while the tab is hidden doesn't count.
+export function useSceneTiming(scene) {
+  const { track } = useAnalytics()
+
+  useEffect(() => {
+    let since = document.visibilityState === 'hidden' ? null : performance.now()
+    const stop = () => {
+      if (since === null) return
+      track('scene_time', { scene, ms: Math.round(performance.now() - since) })
+      since = null
+    }
+    const onVisibility = () => {
+      if (document.visibilityState === 'hidden') stop()
+      else since ??= performance.now()
+    }
+
+    track('scene_enter', { scene })
+    document.addEventListener('visibilitychange', onVisibility)
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibility)
+      stop()
+    }
+  }, [scene, track])
+}
@@ -0,0 +1,46 @@
+import { isScene } from '../scenes.js'
+
+// The analytics events and their properties. Shared by the browser tracker
+// and the collector (server/analytics/handler.js), which drops anything that
+// doesn't fit. Nothing here identifies a visitor: the session id is random
+// per page load and never stored.
+//
+//   scene_enter     { scene }                  arrived in a scene
+//   scene_time      { scene, ms }              left a scene (or the page) after ms
+//   warp_complete   { heldMs }                 held the joystick until the jump
+//   warp_abandon    { heldMs }                 let go before the warp charged
+//   outbound_click  { href, project? }         followed a link off the site
+
+export const MAX_BATCH = 50
+const MAX_DURATION = 24 * 60 * 60 * 1000
+
+const isDuration = (value) => Number.isFinite(value) && value >= 0 && value <= MAX_DURATION
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:', 'mailto:'].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+const EVENT_PROPS = {
+  scene_enter: { scene: isScene },
+  scene_time: { scene: isScene, ms: isDuration },
+  warp_complete: { heldMs: isDuration },
+  warp_abandon: { heldMs: isDuration },
+  outbound_click: { href: isHttpUrl, project: (value) => value === undefined || (typeof value === 'string' && value.length <= 80) },
+}
+
+export const EVENT_TYPES = Object.keys(EVENT_PROPS)
+
+// Returns the event with only its known properties, or null if it's malformed.
+export function normalizeEvent(event) {
+  const props = EVENT_PROPS[event?.type]
+  if (!props || !Number.isFinite(event.at)) return null
+  const normalized = { type: event.type, at: event.at }
+  for (const [name, isValid] of Object.entries(props)) {
+    if (!isValid(event[name])) return null
+    if (event[name] !== undefined) normalized[name] = event[name]
+  }
+  return normalized
+}
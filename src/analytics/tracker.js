@@ -0,0 +1,52 @@
+import { MAX_BATCH } from './events.js'
+
+const FLUSH_MS = 10000
+
+// Only the part of a link that says where it goes: no query string or hash,
+// which can carry tokens or personal data.
+export function stripUrl(href) {
+  const url = new URL(href)
+  return url.protocol === 'mailto:' ? `mailto:${url.pathname}` : `${url.origin}${url.pathname}`
+}
+
+// Queues events and POSTs them to `endpoint` in batches: FLUSH_MS after the
+// first queued event, as soon as a batch fills up, and straight away with
+// sendBeacon once the page is hidden so the last batch survives the tab
+// being closed.
+export function createTracker({ endpoint, flushMs = FLUSH_MS }) {
+  const session = globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2)
+  const queue = []
+  let timer = null
+  let discarded = false
+
+  const send = (body, beacon) => {
+    if (beacon && navigator.sendBeacon?.(endpoint, body)) return
+    fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true }).catch(() => {})
+  }
+
+  const flush = ({ beacon = false } = {}) => {
+    clearTimeout(timer)
+    timer = null
+    while (queue.length) send(JSON.stringify({ session, events: queue.splice(0, MAX_BATCH) }), beacon)
+  }
+
+  return {
+    track(type, props = {}) {
+      if (discarded) return
+      queue.push({ type, at: Date.now(), ...props })
+      if (document.visibilityState === 'hidden') flush({ beacon: true })
+      else if (queue.length >= MAX_BATCH) flush()
+      else timer ??= setTimeout(flush, flushMs)
+    },
+    flush,
+    // For when the visitor opts out: drops whatever hasn't been sent yet and
+    // ignores anything tracked afterwards, such as the scene_time that
+    // useSceneTiming records as it unsubscribes.
+    discard() {
+      discarded = true
+      clearTimeout(timer)
+      timer = null
+      queue.length = 0
+    },
+  }
+}
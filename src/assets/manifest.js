@@ -0,0 +1,33 @@
+// Every model under public/ the scenes load. plugins/assets.js checks these
+// (plus the photo named in the content file) exist at build time.
+
+export const MODELS = {
+  travel: '/space_travel.glb',
+  blackhole: '/black_hole.glb',
+  wormhole: '/wormhole.glb',
+  earth: '/earth.glb',
+  projects: '/scence5.glb',
+  contact: '/scence6.glb',
+}
+
+// Draco/meshopt-compressed builds of the models above (for example from
+// `npx @gltf-transform/cli optimize`). A scene listed here loads its
+// compressed file instead of the original.
+export const COMPRESSED_MODELS = {}
+
+// Lower-detail versions of a scene's model, most detailed first. The quality
+// governor's `lod` picks from this list: lod 1 is the first entry, lod 2 the
+// second, and so on. Scenes without entries always load their full model.
+export const LOD_MODELS = {}
+
+export function modelUrl(scene, lod = 0) {
+  const variants = LOD_MODELS[scene]
+  if (lod > 0 && variants?.length) return variants[Math.min(lod, variants.length) - 1]
+  return COMPRESSED_MODELS[scene] ?? MODELS[scene]
+}
+
+export const manifestPaths = () => [
+  ...Object.values(MODELS),
+  ...Object.values(COMPRESSED_MODELS),
+  ...Object.values(LOD_MODELS).flat(),
+]
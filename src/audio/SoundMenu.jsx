@@ -0,0 +1,18 @@
+import { useSound } from './sound.js'
+
+export default function SoundMenu() {
+  const { volume, muted, setVolume, setMuted } = useSound()
+  return (
+    <div className="hud-label" role="group" aria-label="Sound">
+      SOUND
+      <input
+        type="range" className="hud-range" min="0" max="1" step="0.05"
+        value={muted ? 0 : volume} onChange={(e) => setVolume(Number(e.target.value))}
+        aria-label="Volume" aria-valuetext={muted ? 'Muted' : `${Math.round(volume * 100)}%`}
+      />
+      <button type="button" className="hud-btn" onClick={() => setMuted(!muted)}>
+        {muted ? 'UNMUTE' : 'MUTE'}
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,62 @@
+import { useEffect, useMemo, useState } from 'react'
+import { readSetting, writeSetting } from '../storage.js'
+import { createAudioEngine, DEFAULT_VOLUME } from './engine.js'
+import { SoundContext } from './sound.js'
+
+const STORAGE_KEY = 'portfolio:audio'
+const DEFAULTS = { volume: DEFAULT_VOLUME, muted: false }
+// Touch pointerdown/touchstart don't count as user activation, so on touch
+// screens the first try leaves the context suspended and a later touchend or
+// click resumes it. Mouse pointerdown does count and lets the first joystick
+// press be heard.
+const GESTURES = ['pointerdown', 'pointerup', 'touchend', 'click', 'keydown']
+
+function storedSettings() {
+  try {
+    const { volume, muted } = JSON.parse(readSetting(STORAGE_KEY) ?? '{}')
+    return {
+      volume: Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 1) : DEFAULTS.volume,
+      muted: muted === true,
+    }
+  } catch {
+    return DEFAULTS
+  }
+}
+
+export default function SoundProvider({ children }) {
+  const [engine] = useState(createAudioEngine)
+  const [settings, setSettings] = useState(storedSettings)
+
+  useEffect(() => engine.setVolume(settings.volume, settings.muted), [engine, settings])
+
+  // Browsers only allow audio to start from a user gesture, so the engine
+  // tries on every gesture anywhere on the page until its context runs.
+  useEffect(() => {
+    const stopListening = () => GESTURES.forEach(type => window.removeEventListener(type, unlock, true))
+    const unlock = () => engine.start().then(() => { if (engine.running) stopListening() })
+    GESTURES.forEach(type => window.addEventListener(type, unlock, true))
+    return () => {
+      stopListening()
+      engine.close()
+    }
+  }, [engine])
+
+  const value = useMemo(() => {
+    const update = (next) => setSettings((current) => {
+      const merged = { ...current, ...next }
+      writeSetting(STORAGE_KEY, JSON.stringify(merged))
+      return merged
+    })
+    return {
+      ...settings,
+      // Moving the slider is a clear sign the visitor wants to hear something.
+      setVolume: (volume) => update({ volume, muted: false }),
+      setMuted: (muted) => update({ muted }),
+      setScene: engine.setScene,
+      setSpeed: engine.setSpeed,
+      play: engine.play,
+    }
+  }, [engine, settings])
+
+  return <SoundContext.Provider value={value}>{children}</SoundContext.Provider>
+}
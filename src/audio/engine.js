@@ -0,0 +1,271 @@
+import { SOUNDSCAPES, humFrequency } from './soundscapes.js'
+
+const CROSSFADE_SECONDS = 2
+const AMBIENT_LEVEL = 0.12
+export const DEFAULT_VOLUME = 0.5
+
+// Builds the Web Audio graph on the first start(), which has to be called
+// from a user gesture to get past autoplay policies. Everything before that
+// (volume, scene, speed) is remembered and applied once it starts.
+//
+//   ambient pads ─┐
+//   engine hum ───┼─> master (volume / mute) ─> speakers
+//   one-shot SFX ─┘
+export function createAudioEngine() {
+  let ctx = null
+  let master = null
+  let noise = null
+  let hum = null
+  let ambient = null
+  const state = { volume: DEFAULT_VOLUME, muted: false, scene: null, speed: 1 }
+
+  const level = () => (state.muted ? 0 : state.volume)
+
+  // Two seconds of white noise, looped wherever a hiss or whoosh is needed.
+  const createNoise = () => {
+    const buffer = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate)
+    const data = buffer.getChannelData(0)
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1
+    return buffer
+  }
+
+  const noiseSource = () => {
+    const source = ctx.createBufferSource()
+    source.buffer = noise
+    source.loop = true
+    return source
+  }
+
+  const createHum = () => {
+    const filter = ctx.createBiquadFilter()
+    filter.type = 'lowpass'
+    filter.frequency.value = 400
+    const gain = ctx.createGain()
+    gain.gain.value = 0
+    filter.connect(gain).connect(master)
+
+    const saw = ctx.createOscillator()
+    saw.type = 'sawtooth'
+    const sub = ctx.createOscillator()
+    sub.type = 'sine'
+    saw.connect(filter)
+    sub.connect(filter)
+    saw.start()
+    sub.start()
+    return { saw, sub, filter, gain }
+  }
+
+  const applySpeed = () => {
+    const now = ctx.currentTime
+    const { speed } = state
+    hum.saw.frequency.setTargetAtTime(humFrequency(speed), now, 0.3)
+    hum.sub.frequency.setTargetAtTime(humFrequency(speed) / 2, now, 0.3)
+    hum.filter.frequency.setTargetAtTime(300 + speed * 120, now, 0.3)
+    hum.gain.gain.setTargetAtTime(0.02 + Math.min(speed, 12) * 0.008, now, 0.3)
+  }
+
+  const createPad = (scene) => {
+    const { notes, wave, cutoff, sweep, sweepSeconds, noise: noiseLevel } = SOUNDSCAPES[scene]
+    const now = ctx.currentTime
+    const gain = ctx.createGain()
+    gain.gain.setValueAtTime(0, now)
+    gain.gain.linearRampToValueAtTime(AMBIENT_LEVEL, now + CROSSFADE_SECONDS)
+    gain.connect(master)
+
+    const filter = ctx.createBiquadFilter()
+    filter.type = 'lowpass'
+    filter.frequency.value = cutoff
+    filter.connect(gain)
+
+    const lfo = ctx.createOscillator()
+    lfo.frequency.value = 1 / sweepSeconds
+    const depth = ctx.createGain()
+    depth.gain.value = sweep
+    lfo.connect(depth).connect(filter.frequency)
+
+    // Each note is a slightly detuned pair, which gives the drone its slow beat.
+    const sources = [lfo]
+    for (const frequency of notes) {
+      for (const detune of [-6, 6]) {
+        const osc = ctx.createOscillator()
+        osc.type = wave
+        osc.frequency.value = frequency
+        osc.detune.value = detune
+        osc.connect(filter)
+        sources.push(osc)
+      }
+    }
+
+    const wash = noiseSource()
+    const band = ctx.createBiquadFilter()
+    band.type = 'bandpass'
+    band.frequency.value = cutoff * 2
+    const washGain = ctx.createGain()
+    washGain.gain.value = noiseLevel / AMBIENT_LEVEL
+    wash.connect(band).connect(washGain).connect(gain)
+    sources.push(wash)
+
+    sources.forEach(source => source.start(now))
+    return { gain, sources }
+  }
+
+  const fadeOutPad = (pad) => {
+    const now = ctx.currentTime
+    pad.gain.gain.cancelScheduledValues(now)
+    pad.gain.gain.setValueAtTime(pad.gain.gain.value, now)
+    pad.gain.gain.linearRampToValueAtTime(0, now + CROSSFADE_SECONDS)
+    pad.sources.forEach(source => source.stop(now + CROSSFADE_SECONDS + 0.1))
+  }
+
+  const applyScene = () => {
+    if (ambient) fadeOutPad(ambient)
+    ambient = state.scene && SOUNDSCAPES[state.scene] ? createPad(state.scene) : null
+  }
+
+  // An envelope that rises over `attack` and falls to silence by `release`.
+  const envelope = (peak, attack, release) => {
+    const now = ctx.currentTime
+    const gain = ctx.createGain()
+    gain.gain.setValueAtTime(0.0001, now)
+    gain.gain.exponentialRampToValueAtTime(peak, now + attack)
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + attack + release)
+    gain.connect(master)
+    return gain
+  }
+
+  // One-shot effects. `charge` runs as long as the hold, so it returns a
+  // function that cuts it short.
+  const SFX = {
+    // Rises over `seconds`, the length of the joystick hold.
+    charge({ seconds = 4 } = {}) {
+      const now = ctx.currentTime
+      const gain = ctx.createGain()
+      gain.gain.setValueAtTime(0.0001, now)
+      gain.gain.exponentialRampToValueAtTime(0.15, now + seconds)
+      gain.connect(master)
+      const osc = ctx.createOscillator()
+      osc.type = 'square'
+      osc.frequency.setValueAtTime(120, now)
+      osc.frequency.exponentialRampToValueAtTime(880, now + seconds)
+      const tremolo = ctx.createOscillator()
+      tremolo.frequency.setValueAtTime(4, now)
+      tremolo.frequency.linearRampToValueAtTime(18, now + seconds)
+      // Wobbles the level between 0.2 and 1 of the envelope, faster as it charges.
+      const wobble = ctx.createGain()
+      wobble.gain.value = 0.6
+      const tremoloDepth = ctx.createGain()
+      tremoloDepth.gain.value = 0.4
+      const filter = ctx.createBiquadFilter()
+      filter.type = 'lowpass'
+      filter.frequency.value = 1800
+      tremolo.connect(tremoloDepth).connect(wobble.gain)
+      osc.connect(filter).connect(wobble).connect(gain)
+      osc.start(now)
+      tremolo.start(now)
+      return () => {
+        const at = ctx.currentTime
+        // Hold the level the ramp has reached, or cancelling drops it back to
+        // the start value and clicks.
+        gain.gain.cancelScheduledValues(at)
+        gain.gain.setValueAtTime(gain.gain.value, at)
+        gain.gain.setTargetAtTime(0, at, 0.05)
+        osc.stop(at + 0.3)
+        tremolo.stop(at + 0.3)
+      }
+    },
+
+    // White-out whoosh with a low boom under it.
+    flash() {
+      const now = ctx.currentTime
+      const whoosh = noiseSource()
+      const filter = ctx.createBiquadFilter()
+      filter.type = 'highpass'
+      filter.frequency.setValueAtTime(4000, now)
+      filter.frequency.exponentialRampToValueAtTime(200, now + 1.2)
+      whoosh.connect(filter).connect(envelope(0.4, 0.02, 1.4))
+      const boom = ctx.createOscillator()
+      boom.frequency.setValueAtTime(90, now)
+      boom.frequency.exponentialRampToValueAtTime(30, now + 1.2)
+      boom.connect(envelope(0.5, 0.01, 1.3))
+      whoosh.start(now)
+      boom.start(now)
+      whoosh.stop(now + 1.5)
+      boom.stop(now + 1.5)
+    },
+
+    // A soft two-note chime.
+    arrive() {
+      const now = ctx.currentTime
+      for (const [i, frequency] of [660, 990].entries()) {
+        const osc = ctx.createOscillator()
+        osc.frequency.value = frequency
+        osc.connect(envelope(0.12, 0.02 + i * 0.12, 1.6))
+        osc.start(now)
+        osc.stop(now + 2)
+      }
+    },
+  }
+
+  const onVisibility = () => {
+    if (document.visibilityState === 'hidden') ctx.suspend()
+    else ctx.resume()
+  }
+
+  return {
+    // False until a gesture the browser accepts has let the context run.
+    get running() {
+      return ctx?.state === 'running'
+    },
+
+    // Creates the context on the first call and resumes it on later ones; a
+    // context made outside an accepted gesture starts out suspended. Resolves
+    // once the resume attempt settles.
+    start() {
+      if (ctx) return ctx.resume().catch(() => {})
+      const AudioContextClass = window.AudioContext ?? window.webkitAudioContext
+      if (!AudioContextClass) return Promise.resolve()
+      ctx = new AudioContextClass()
+      master = ctx.createGain()
+      master.gain.value = level()
+      master.connect(ctx.destination)
+      noise = createNoise()
+      hum = createHum()
+      applySpeed()
+      applyScene()
+      document.addEventListener('visibilitychange', onVisibility)
+      return ctx.resume().catch(() => {})
+    },
+
+    setVolume(volume, muted) {
+      state.volume = volume
+      state.muted = muted
+      master?.gain.setTargetAtTime(level(), ctx.currentTime, 0.05)
+    },
+
+    setScene(scene) {
+      if (scene === state.scene) return
+      state.scene = scene
+      if (ctx) applyScene()
+    },
+
+    setSpeed(speed) {
+      state.speed = speed
+      if (ctx) applySpeed()
+    },
+
+    // Plays a one-shot from SFX. Always returns a stop function, a no-op for
+    // effects that can't be cut short or when nothing played. Nothing plays
+    // while the context is suspended, as its clock is frozen and the effect
+    // would sound late once it resumes.
+    play(name, options) {
+      if (ctx?.state !== 'running' || state.muted) return () => {}
+      return SFX[name](options) ?? (() => {})
+    },
+
+    close() {
+      document.removeEventListener('visibilitychange', onVisibility)
+      ctx?.close()
+      ctx = master = noise = hum = ambient = null
+    },
+  }
+}
@@ -0,0 +1,22 @@
+import { createContext, useContext, useEffect } from 'react'
+
+// `volume` (0..1) and `muted` are the visitor's saved choice. `play` fires a
+// one-shot from the engine's SFX and returns a function that stops it early.
+export const SoundContext = createContext({
+  volume: 0.5,
+  muted: false,
+  setVolume: () => {},
+  setMuted: () => {},
+  setScene: () => {},
+  setSpeed: () => {},
+  play: () => () => {},
+})
+
+export const useSound = () => useContext(SoundContext)
+
+// Keeps the ambient pad on `scene` and the engine hum's pitch on `speed`.
+export function useSoundscape(scene, speed) {
+  const { setScene, setSpeed } = useSound()
+  useEffect(() => setScene(scene), [setScene, scene])
+  useEffect(() => setSpeed(speed), [setSpeed, speed])
+}
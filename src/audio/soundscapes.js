@@ -0,0 +1,16 @@
+// Ambient pad per scene, synthesised by the audio engine so no audio files
+// need to ship. `notes` are the drone's pitches in Hz, `cutoff` the lowpass
+// the pad sits under (it sweeps ±`sweep` Hz every `sweepSeconds`), `noise`
+// the level of a filtered noise wash on top.
+export const SOUNDSCAPES = {
+  travel: { notes: [55, 82.41, 110], wave: 'sawtooth', cutoff: 500, sweep: 200, sweepSeconds: 12, noise: 0.03 },
+  blackhole: { notes: [36.71, 55, 73.42], wave: 'sawtooth', cutoff: 260, sweep: 120, sweepSeconds: 18, noise: 0.05 },
+  wormhole: { notes: [49, 73.42, 98, 146.83], wave: 'triangle', cutoff: 900, sweep: 500, sweepSeconds: 6, noise: 0.04 },
+  earth: { notes: [65.41, 98, 130.81, 164.81], wave: 'sine', cutoff: 1200, sweep: 300, sweepSeconds: 14, noise: 0.01 },
+  projects: { notes: [61.74, 92.5, 123.47], wave: 'triangle', cutoff: 800, sweep: 250, sweepSeconds: 10, noise: 0.015 },
+  contact: { notes: [73.42, 110, 146.83, 185], wave: 'sine', cutoff: 1400, sweep: 400, sweepSeconds: 16, noise: 0.01 },
+}
+
+// Engine hum pitch in Hz for a given warp `speed` (0.2 drifting, 1 idle,
+// 8 charging, 12 jumping).
+export const humFrequency = (speed) => 38 + speed * 11
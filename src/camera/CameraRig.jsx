@@ -0,0 +1,74 @@
+import { useEffect, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { OrbitControls } from '@react-three/drei'
+import * as THREE from 'three'
+import { useMotion } from '../a11y/motion.js'
+import { useViewport } from '../viewport/viewport.js'
+import { CHOREOGRAPHY, MOBILE_FOV_BOOST, samplePose } from './choreography.js'
+
+const desiredPosition = new THREE.Vector3()
+const desiredTarget = new THREE.Vector3()
+
+// Moves the camera through the current scene's keyframes as `scrollRef`
+// (0..1) changes, with pointer parallax on fine pointers, the warp shake and
+// the FOV stretch during a jump. Owns the OrbitControls so both agree on the
+// target: once the visitor drags or zooms, the rig lets go until they scroll
+// or change scene.
+export default function CameraRig({ scene, scrollRef, speed, isJumping, enableZoom, enableRotate }) {
+  const { reduced } = useMotion()
+  const { isMobile, pointer: pointerType, width, height } = useViewport()
+  const controls = useRef()
+  const pointer = useRef([0, 0])
+  // Scroll progress when the visitor took the controls, or null.
+  const takenOverAt = useRef(null)
+
+  useEffect(() => { takenOverAt.current = null }, [scene])
+
+  useEffect(() => {
+    pointer.current = [0, 0]
+    if (pointerType !== 'fine') return
+    const onMove = (e) => {
+      pointer.current = [(e.clientX / width) * 2 - 1, (e.clientY / height) * 2 - 1]
+    }
+    window.addEventListener('pointermove', onMove)
+    return () => window.removeEventListener('pointermove', onMove)
+  }, [pointerType, width, height])
+
+  useFrame(({ camera }, delta) => {
+    if (takenOverAt.current !== null && Math.abs(scrollRef.current - takenOverAt.current) > 0.01) takenOverAt.current = null
+
+    const pose = samplePose(CHOREOGRAPHY[scene], scrollRef.current)
+    const ease = 1 - Math.exp(-delta * 3)
+
+    if (takenOverAt.current === null && controls.current) {
+      const [px, py] = reduced ? [0, 0] : pointer.current
+      desiredPosition.set(pose.position[0] + px * 0.6, pose.position[1] - py * 0.4, pose.position[2])
+      desiredTarget.fromArray(pose.target)
+      camera.position.lerp(desiredPosition, ease)
+      controls.current.target.lerp(desiredTarget, ease)
+      controls.current.update()
+    }
+
+    if (speed > 1 && !isJumping && !reduced) {
+      camera.position.x += (Math.random() - 0.5) * (speed * 0.015)
+      camera.position.y += (Math.random() - 0.5) * (speed * 0.015)
+    }
+
+    const baseFOV = pose.fov + (isMobile ? MOBILE_FOV_BOOST : 0)
+    const targetFOV = isJumping && !reduced ? 140 : baseFOV
+    if (Math.abs(camera.fov - targetFOV) < 0.01) return
+    camera.fov = THREE.MathUtils.lerp(camera.fov, targetFOV, 0.05)
+    camera.updateProjectionMatrix()
+  })
+
+  return (
+    <OrbitControls
+      ref={controls}
+      makeDefault
+      enableZoom={enableZoom}
+      enableRotate={enableRotate}
+      enablePan={false}
+      onStart={() => { takenOverAt.current = scrollRef.current }}
+    />
+  )
+}
@@ -0,0 +1,50 @@
+// Camera keyframes per scene. `at` is how far the visitor has scrolled through
+// the scene's overlay (0 = top, 1 = bottom); the camera eases between the
+// surrounding keyframes. `fov` is for desktop, small screens add MOBILE_FOV_BOOST.
+export const CHOREOGRAPHY = {
+  travel: [
+    { at: 0, position: [0, 0, 10], target: [0, 0, 0], fov: 75 },
+  ],
+  blackhole: [
+    { at: 0, position: [0, 0, 10], target: [0, -1, -8], fov: 75 },
+    { at: 1, position: [2, -0.5, 6], target: [0, -1, -8], fov: 65 },
+  ],
+  wormhole: [
+    { at: 0, position: [0, 0, 10], target: [0, 0, -20], fov: 75 },
+    { at: 0.6, position: [1, 0.5, 4], target: [0, 0, -20], fov: 85 },
+    { at: 1, position: [0, 0, 0], target: [0, 0, -20], fov: 95 },
+  ],
+  earth: [
+    { at: 0, position: [0, 0, 10], target: [0, 0, 0], fov: 75 },
+    { at: 0.5, position: [5, 2, 8], target: [0, 0, 0], fov: 70 },
+    { at: 1, position: [-4, -1, 9], target: [0, 0, 0], fov: 72 },
+  ],
+  projects: [
+    { at: 0, position: [0, 0, 10], target: [0, 0, 0], fov: 75 },
+    { at: 1, position: [-3, 2, 11], target: [0, -1, 2], fov: 70 },
+  ],
+  contact: [
+    { at: 0, position: [0, 0, 10], target: [0, 0, 0], fov: 75 },
+    { at: 1, position: [3, 1, 7], target: [0, 0, 0], fov: 65 },
+  ],
+}
+
+export const MOBILE_FOV_BOOST = 15
+
+const smoothstep = (t) => t * t * (3 - 2 * t)
+const mix = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t)
+
+// Pose for scroll progress `t` (0..1) along a scene's keyframes.
+export function samplePose(keyframes, t) {
+  const next = keyframes.findIndex(k => k.at >= t)
+  if (next <= 0) return keyframes[next === 0 ? 0 : keyframes.length - 1]
+
+  const from = keyframes[next - 1]
+  const to = keyframes[next]
+  const local = smoothstep((t - from.at) / (to.at - from.at))
+  return {
+    position: mix(from.position, to.position, local),
+    target: mix(from.target, to.target, local),
+    fov: from.fov + (to.fov - from.fov) * local,
+  }
+}
@@ -0,0 +1,88 @@
+import { useState } from 'react'
+import { EMPTY_MESSAGE, HONEYPOT_FIELD, LIMITS, validateMessage } from './validate.js'
+
+const FIELDS = [
+  { name: 'name', label: 'Name', type: 'text', placeholder: 'Your Name', autoComplete: 'name' },
+  { name: 'email', label: 'Email', type: 'email', placeholder: 'your@email.com', autoComplete: 'email' },
+  { name: 'subject', label: 'Subject', type: 'text', placeholder: 'Collaboration Idea' },
+  { name: 'message', label: 'Message', placeholder: 'How can I help you?', multiline: true },
+]
+
+const errorStyle = { color: 'var(--danger)', fontSize: '0.8rem', margin: '-10px 0 15px' }
+
+export default function ContactForm() {
+  const [values, setValues] = useState(EMPTY_MESSAGE)
+  const [errors, setErrors] = useState({})
+  const [status, setStatus] = useState('idle') // idle | sending | sent | failed
+  const [failure, setFailure] = useState('')
+
+  const update = (e) => {
+    const { name, value } = e.target
+    setValues(v => ({ ...v, [name]: value }))
+    if (errors[name]) setErrors(e => ({ ...e, [name]: undefined }))
+  }
+
+  const submit = async (e) => {
+    e.preventDefault()
+    const { errors: found } = validateMessage(values)
+    setErrors(found)
+    if (Object.keys(found).length) return
+
+    setStatus('sending')
+    try {
+      const res = await fetch('/api/contact', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values),
+      })
+      const body = await res.json().catch(() => ({}))
+      if (res.ok) {
+        setStatus('sent')
+        setValues(EMPTY_MESSAGE)
+        return
+      }
+      if (body.errors) setErrors(body.errors)
+      setFailure(body.error ?? 'Please fix the highlighted fields.')
+    } catch {
+      setFailure('Could not reach the server. Check your connection and try again.')
+    }
+    setStatus('failed')
+  }
+
+  if (status === 'sent') {
+    return (
+      <div role="status">
+        <p style={{ fontSize: '1.1rem', marginBottom: '20px' }}>Thanks! Your message is on its way — I'll get back to you soon.</p>
+        <button className="contact-btn" onClick={() => setStatus('idle')}>Send Another</button>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={submit} noValidate>
+      {FIELDS.map(({ name, label, multiline, ...input }) => {
+        const Field = multiline ? 'textarea' : 'input'
+        return (
+          <div key={name}>
+            <label htmlFor={`contact-${name}`}>{label}</label>
+            <Field
+              id={`contact-${name}`} name={name} className="input-field" value={values[name]} onChange={update}
+              maxLength={LIMITS[name]} rows={multiline ? 4 : undefined}
+              aria-invalid={Boolean(errors[name])} aria-describedby={errors[name] ? `contact-${name}-error` : undefined}
+              {...input}
+            />
+            {errors[name] && <p id={`contact-${name}-error`} style={errorStyle}>{errors[name]}</p>}
+          </div>
+        )
+      })}
+      <div aria-hidden="true" style={{ position: 'absolute', left: '-10000px', width: '1px', height: '1px', overflow: 'hidden' }}>
+        <label htmlFor="contact-website">Website</label>
+        <input id="contact-website" name={HONEYPOT_FIELD} tabIndex={-1} autoComplete="off" value={values[HONEYPOT_FIELD]} onChange={update} />
+      </div>
+      {status === 'failed' && <p role="alert" style={{ ...errorStyle, margin: '0 0 15px' }}>{failure}</p>}
+      <button className="contact-btn" disabled={status === 'sending'} style={{ opacity: status === 'sending' ? 0.6 : 1 }}>
+        {status === 'sending' ? 'Sending…' : 'Send Message'}
+      </button>
+    </form>
+  )
+}
@@ -0,0 +1,39 @@
+// Contact message rules, shared by the form in the browser and the server
+// handler so both report the same per-field errors.
+
+export const LIMITS = { name: 100, email: 254, subject: 150, message: 5000 }
+export const MIN_MESSAGE_LENGTH = 10
+
+// `website` is the honeypot: hidden from people, filled in by naive bots.
+export const HONEYPOT_FIELD = 'website'
+
+export const EMPTY_MESSAGE = { name: '', email: '', subject: '', message: '', [HONEYPOT_FIELD]: '' }
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const clean = (value) => (typeof value === 'string' ? value.trim() : '')
+
+export function validateMessage(input = {}) {
+  const values = {
+    name: clean(input.name),
+    email: clean(input.email),
+    subject: clean(input.subject),
+    message: clean(input.message),
+  }
+  const errors = {}
+
+  if (!values.name) errors.name = 'Please tell me your name.'
+  else if (values.name.length > LIMITS.name) errors.name = `Name must be under ${LIMITS.name} characters.`
+
+  if (!values.email) errors.email = 'An email address is needed so I can reply.'
+  else if (values.email.length > LIMITS.email || !EMAIL_RE.test(values.email)) errors.email = 'That email address doesn\'t look right.'
+
+  if (values.subject.length > LIMITS.subject) errors.subject = `Subject must be under ${LIMITS.subject} characters.`
+
+  if (values.message.length < MIN_MESSAGE_LENGTH) errors.message = `Message must be at least ${MIN_MESSAGE_LENGTH} characters.`
+  else if (values.message.length > LIMITS.message) errors.message = `Message must be under ${LIMITS.message} characters.`
+
+  return { values, errors }
+}
+
+export const isHoneypotFilled = (input = {}) => clean(input[HONEYPOT_FIELD]) !== ''
@@ -0,0 +1,6 @@
+// True for hrefs that don't lead anywhere yet: empty, "#", "#something" or
+// javascript: pseudo-links.
+export function isPlaceholderUrl(href) {
+  const value = href?.trim() ?? ''
+  return !value || value.startsWith('#') || /^javascript:/i.test(value)
+}
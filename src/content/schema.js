@@ -0,0 +1,179 @@
+// Schema for src/content/portfolio.json. Shared by the build-time validator
+// (plugins/content.js) and anything else that wants to check content shape.
+
+const text = { type: 'string' }
+const optionalUrl = { type: 'string', format: 'url', optional: true }
+
+export const contentSchema = {
+  type: 'object',
+  fields: {
+    profile: {
+      type: 'object',
+      fields: {
+        name: text,
+        tagline: text,
+        photo: { type: 'string', format: 'path' },
+        welcome: text,
+      },
+    },
+    about: text,
+    education: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        fields: {
+          school: text,
+          period: { type: 'string', pattern: /^\d{4} - (\d{4}|Present)$/, hint: '"YYYY - YYYY" or "YYYY - Present"' },
+          summary: text,
+        },
+      },
+    },
+    skillGroups: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        fields: {
+          title: text,
+          skills: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              fields: {
+                name: text,
+                percent: { type: 'integer', min: 0, max: 100 },
+              },
+            },
+          },
+        },
+      },
+    },
+    projects: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        fields: {
+          slug: { type: 'string', pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, hint: 'a lowercase-kebab-case id' },
+          title: text,
+          role: text,
+          desc: text,
+          tags: { type: 'array', items: text },
+          code: optionalUrl,
+          demo: optionalUrl,
+          // Long-form material for the project detail view; every part is optional.
+          details: {
+            type: 'object',
+            optional: true,
+            fields: {
+              writeup: { type: 'string', optional: true },
+              media: {
+                type: 'array',
+                optional: true,
+                items: {
+                  type: 'object',
+                  fields: {
+                    type: { type: 'string', oneOf: ['image', 'video'] },
+                    src: { type: 'string', format: 'asset' },
+                    alt: text,
+                    caption: { type: 'string', optional: true },
+                  },
+                },
+              },
+              stack: {
+                type: 'array',
+                optional: true,
+                items: { type: 'object', fields: { name: text, role: text } },
+              },
+              metrics: {
+                type: 'array',
+                optional: true,
+                items: { type: 'object', fields: { label: text, value: text } },
+              },
+            },
+          },
+          // GLB shown in the projects scene while the detail view is open:
+          // 'replace' swaps out the scene model, 'orbit' circles it.
+          model: { type: 'string', format: 'path', optional: true },
+          modelMode: { type: 'string', oneOf: ['replace', 'orbit'], optional: true },
+        },
+      },
+    },
+    contacts: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        fields: {
+          label: text,
+          value: text,
+          href: optionalUrl,
+        },
+      },
+    },
+  },
+}
+
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:', 'mailto:'].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+const describe = (value) => (typeof value === 'string' ? JSON.stringify(value) : String(value))
+
+function check(rule, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (!rule.optional) errors.push(`${path}: is required`)
+    return
+  }
+
+  switch (rule.type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return errors.push(`${path}: must be an object`)
+      for (const [key, fieldRule] of Object.entries(rule.fields)) {
+        check(fieldRule, value[key], path ? `${path}.${key}` : key, errors)
+      }
+      for (const key of Object.keys(value)) {
+        if (!(key in rule.fields)) errors.push(`${path ? `${path}.` : ''}${key}: is not a known field`)
+      }
+      return
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return errors.push(`${path}: must be an array`)
+      if (rule.minItems && value.length < rule.minItems) errors.push(`${path}: needs at least ${rule.minItems} item(s)`)
+      value.forEach((item, i) => check(rule.items, item, `${path}[${i}]`, errors))
+      return
+    }
+    case 'integer': {
+      if (!Number.isInteger(value)) return errors.push(`${path}: must be an integer (got ${describe(value)})`)
+      if (value < rule.min || value > rule.max) errors.push(`${path}: must be between ${rule.min} and ${rule.max} (got ${value})`)
+      return
+    }
+    case 'string': {
+      if (typeof value !== 'string' || !value.trim()) return errors.push(`${path}: must be a non-empty string`)
+      if (rule.format === 'url' && !isUrl(value)) errors.push(`${path}: must be an absolute http(s) or mailto URL (got ${describe(value)})`)
+      if (rule.format === 'path' && !value.startsWith('/')) errors.push(`${path}: must be a path under public/ starting with "/" (got ${describe(value)})`)
+      if (rule.format === 'asset' && !value.startsWith('/') && !isUrl(value)) errors.push(`${path}: must be a public/ path or an absolute URL (got ${describe(value)})`)
+      if (rule.oneOf && !rule.oneOf.includes(value)) errors.push(`${path}: must be one of ${rule.oneOf.join(', ')} (got ${describe(value)})`)
+      if (rule.pattern && !rule.pattern.test(value)) errors.push(`${path}: must look like ${rule.hint} (got ${describe(value)})`)
+      return
+    }
+  }
+}
+
+// Returns a list of human-readable problems; empty when the content is valid.
+export function validateContent(content) {
+  const errors = []
+  check(contentSchema, content, '', errors)
+
+  const slugs = (Array.isArray(content?.projects) ? content.projects : []).map(p => p?.slug)
+  slugs.forEach((slug, i) => {
+    if (slug && slugs.indexOf(slug) !== i) errors.push(`projects[${i}].slug: "${slug}" is already used by another project`)
+  })
+  return errors
+}
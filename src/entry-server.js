@@ -0,0 +1,14 @@
+import { createElement } from 'react'
+import { renderToString } from 'react-dom/server'
+import { SCENES } from './scenes.js'
+import StaticPortfolio from './static/StaticPortfolio.jsx'
+
+export { renderHead } from './static/seo.js'
+export { cssVariablesBlock, DEFAULT_THEME } from './theme/themes.js'
+export { SCENES }
+
+// Entry for the SSR build used by scripts/prerender.js. The home page gets
+// every section; each scene page gets its own.
+export function render(scene) {
+  return renderToString(createElement(StaticPortfolio, { scenes: scene === 'travel' ? SCENES : [scene], linkMode: 'page' }))
+}
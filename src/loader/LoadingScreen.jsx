@@ -0,0 +1,33 @@
+import { useState } from 'react'
+import { useMotion } from '../a11y/motion.js'
+import { useDownloadProgress } from './models.js'
+
+const mb = (bytes) => (bytes / 1024 / 1024).toFixed(1)
+
+// Covers the first scene while its model downloads, then fades out. With
+// reduced motion there is no transition to wait for, so it goes at once.
+export default function LoadingScreen({ scene, lod }) {
+  const { loaded, total, done } = useDownloadProgress(scene, lod)
+  const { reduced } = useMotion()
+  const [hidden, setHidden] = useState(false)
+  if (hidden || (done && reduced)) return null
+
+  const percent = total ? Math.round((loaded / total) * 100) : null
+  return (
+    <div
+      onTransitionEnd={(e) => done && e.target === e.currentTarget && setHidden(true)}
+      style={{
+        position: 'fixed', inset: 0, zIndex: 200, background: 'var(--bg)', display: 'flex', flexDirection: 'column',
+        alignItems: 'center', justifyContent: 'center', transition: 'opacity 0.8s', opacity: done ? 0 : 1, pointerEvents: done ? 'none' : 'auto',
+      }}
+    >
+      <div style={{ fontSize: '0.8rem', letterSpacing: '4px', color: 'var(--accent)', marginBottom: '20px' }}>CHARGING WARP CORE</div>
+      <div style={{ width: '260px', height: '6px', background: 'rgba(var(--fg-rgb), 0.1)', borderRadius: '10px', overflow: 'hidden' }}>
+        <div style={{ width: `${percent ?? 100}%`, height: '100%', background: 'var(--accent)', boxShadow: '0 0 10px var(--accent)', transition: 'width 0.2s', opacity: percent === null ? 0.4 : 1 }} />
+      </div>
+      <div style={{ marginTop: '12px', fontSize: '0.8rem', opacity: 0.6 }} role="status">
+        {percent === null ? `${mb(loaded)} MB` : `${percent}% · ${mb(loaded)} / ${mb(total)} MB`}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,103 @@
+import { use, useSyncExternalStore } from 'react'
+import { DefaultLoadingManager } from 'three'
+import { useGLTF } from '@react-three/drei'
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js'
+import { modelUrl } from '../assets/manifest.js'
+import { useQuality } from '../perf/quality.js'
+
+// Scene models are downloaded here with fetch so we can report byte-level
+// progress, then parsed by GLTFLoader through a blob: URL into a cache of our
+// own, so a warp can wait for the finished scene rather than just the bytes.
+// Draco and meshopt decoding are on like useGLTF's, so compressed variants
+// from the manifest load the same way.
+
+const DRACO_DECODER_PATH = import.meta.env.VITE_DRACO_DECODER_PATH || 'https://www.gstatic.com/draco/versioned/decoders/1.5.5/'
+// Project showcase models still go through useGLTF.
+useGLTF.setDecoderPath(DRACO_DECODER_PATH)
+
+const gltfLoader = new GLTFLoader()
+  .setDRACOLoader(new DRACOLoader().setDecoderPath(DRACO_DECODER_PATH))
+  .setMeshoptDecoder(MeshoptDecoder)
+
+const blobUrls = new Map()
+DefaultLoadingManager.setURLModifier((url) => blobUrls.get(url) ?? url)
+
+const models = new Map()
+const progress = new Map()
+const listeners = new Set()
+const IDLE = { loaded: 0, total: 0, done: false, failed: false }
+
+function report(url, state) {
+  progress.set(url, { ...(progress.get(url) ?? IDLE), ...state })
+  listeners.forEach(listener => listener())
+}
+
+async function download(url) {
+  report(url, IDLE)
+  try {
+    const res = await fetch(url)
+    if (!res.ok) throw new Error(`${url} responded ${res.status}`)
+
+    const total = Number(res.headers.get('content-length')) || 0
+    const reader = res.body.getReader()
+    const chunks = []
+    let loaded = 0
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done) break
+      chunks.push(value)
+      loaded += value.length
+      report(url, { loaded, total })
+    }
+
+    blobUrls.set(url, URL.createObjectURL(new Blob(chunks)))
+    report(url, { done: true })
+  } catch (err) {
+    // useSceneModel rethrows this and the scene's error boundary swaps in
+    // the procedural fallback.
+    report(url, { done: true, failed: true })
+    throw err
+  }
+}
+
+// Downloads and parses a scene's model. Resolves to the parsed GLTF; safe to
+// call repeatedly. A failed load is dropped from the cache so the next
+// prefetch or warp tries again.
+export function prefetchScene(scene, lod = 0) {
+  const url = modelUrl(scene, lod)
+  if (!models.has(url)) {
+    models.set(url, download(url).then(() => gltfLoader.loadAsync(url)).catch((err) => {
+      models.delete(url)
+      throw err
+    }))
+  }
+  return models.get(url)
+}
+
+// Resolves when the scene's model is parsed and ready to render, when it failed (so the fallback
+// can render), or after `timeout` ms, whichever comes first. Never rejects.
+export function waitForScene(scene, lod = 0, timeout = 15000) {
+  return Promise.race([
+    prefetchScene(scene, lod).catch(() => {}),
+    new Promise(resolve => setTimeout(resolve, timeout)),
+  ])
+}
+
+// Suspends until the model is parsed; throws to the scene's error boundary
+// if it couldn't be loaded.
+export function useSceneModel(scene) {
+  const { tier } = useQuality()
+  return use(prefetchScene(scene, tier.lod))
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export function useDownloadProgress(scene, lod = 0) {
+  const url = modelUrl(scene, lod)
+  return useSyncExternalStore(subscribe, () => progress.get(url) ?? IDLE)
+}
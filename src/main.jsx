@@ -1,10 +1,38 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
+import './styles/global.css'
 import App from './App.jsx'
+import QualityProvider from './perf/QualityProvider.jsx'
+import MotionProvider from './a11y/MotionProvider.jsx'
+import { detectRenderer } from './perf/renderer.js'
+import StaticPortfolio from './static/StaticPortfolio.jsx'
+import WebGLGate from './static/WebGLGate.jsx'
+import ThemeProvider from './theme/ThemeProvider.jsx'
+import ViewportProvider from './viewport/ViewportProvider.jsx'
+import AnalyticsProvider from './analytics/AnalyticsProvider.jsx'
+import SoundProvider from './audio/SoundProvider.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <ThemeProvider>
+      {detectRenderer().webgl ? (
+        <WebGLGate>
+          <ViewportProvider>
+            <QualityProvider>
+              <MotionProvider>
+                <AnalyticsProvider>
+                  <SoundProvider>
+                    <App />
+                  </SoundProvider>
+                </AnalyticsProvider>
+              </MotionProvider>
+            </QualityProvider>
+          </ViewportProvider>
+        </WebGLGate>
+      ) : (
+        <StaticPortfolio />
+      )}
+    </ThemeProvider>
   </StrictMode>,
 )
@@ -0,0 +1,91 @@
+import { useEffect, useEffectEvent, useState } from 'react'
+import { NEXT_SCENE, SCENES, SCENE_LABELS } from '../scenes.js'
+
+// Where each scene sits on the map, in a 240×180 box.
+const POSITIONS = {
+  travel: [30, 140],
+  blackhole: [70, 50],
+  wormhole: [125, 105],
+  earth: [175, 35],
+  projects: [210, 120],
+  contact: [125, 165],
+}
+
+// Next scene in tour order after `current` that hasn't been visited yet, or
+// simply the next stop once everything has been seen.
+function nextTourStop(current, visited) {
+  const start = SCENES.indexOf(current)
+  for (let i = 1; i < SCENES.length; i++) {
+    const scene = SCENES[(start + i) % SCENES.length]
+    if (!visited.has(scene)) return scene
+  }
+  return NEXT_SCENE[current]
+}
+
+const isTyping = (target) => target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+
+// Navigation HUD: every scene as a destination, warped to with onJump.
+// Keys 1–6 jump to a scene, M toggles the map and N continues the tour.
+export default function StarMap({ currentScene, visited, onJump }) {
+  const [open, setOpen] = useState(false)
+  const tourStop = nextTourStop(currentScene, visited)
+
+  const onKeyDown = useEffectEvent((e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey || isTyping(e.target)) return
+    const scene = SCENES[Number(e.key) - 1]
+    if (scene) onJump(scene)
+    else if (e.key === 'm' || e.key === 'M') setOpen(o => !o)
+    else if (e.key === 'n' || e.key === 'N') onJump(tourStop)
+  })
+
+  useEffect(() => {
+    const listener = (e) => onKeyDown(e)
+    window.addEventListener('keydown', listener)
+    return () => window.removeEventListener('keydown', listener)
+  }, [])
+
+  return (
+    <nav aria-label="Star map" style={{ position: 'fixed', top: '15px', right: '15px', zIndex: 60, display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: '10px' }}>
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button className="hud-btn" onClick={() => onJump(tourStop)} aria-keyshortcuts="N" aria-label={`Continue tour to ${SCENE_LABELS[tourStop]}`}>
+          CONTINUE TOUR →
+        </button>
+        <button className="hud-btn" onClick={() => setOpen(o => !o)} aria-expanded={open} aria-controls="star-map" aria-keyshortcuts="M">
+          STAR MAP
+        </button>
+      </div>
+
+      {open && (
+        <div id="star-map" className="star-map">
+          <svg width="240" height="180" aria-hidden="true" style={{ position: 'absolute', inset: '15px' }}>
+            <polyline
+              points={SCENES.map(scene => POSITIONS[scene].join(',')).join(' ')}
+              fill="none" stroke="rgba(var(--accent-rgb), 0.35)" strokeDasharray="4 4"
+            />
+          </svg>
+          <ol style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+            {SCENES.map((scene, i) => {
+              const [x, y] = POSITIONS[scene]
+              const current = scene === currentScene
+              return (
+                <li key={scene} style={{ position: 'absolute', left: x + 15, top: y + 15 }}>
+                  <button
+                    className={`star ${current ? 'current' : ''} ${visited.has(scene) ? 'visited' : ''}`}
+                    onClick={() => onJump(scene)}
+                    aria-current={current ? 'location' : undefined}
+                    aria-keyshortcuts={String(i + 1)}
+                    aria-label={`${SCENE_LABELS[scene]}${current ? ', you are here' : visited.has(scene) ? ', visited' : ''}`}
+                  />
+                  <span aria-hidden="true" className="star-label">{i + 1}. {SCENE_LABELS[scene]}</span>
+                </li>
+              )
+            })}
+          </ol>
+          <p style={{ position: 'absolute', bottom: '8px', left: '15px', right: '15px', margin: 0, fontSize: '0.65rem', opacity: 0.5 }}>
+            Keys 1–6 warp · M map · N continue
+          </p>
+        </div>
+      )}
+    </nav>
+  )
+}
@@ -0,0 +1,28 @@
+import { useState } from 'react'
+import { isScene } from '../scenes.js'
+import { readSetting, writeSetting } from '../storage.js'
+
+const STORAGE_KEY = 'portfolio:visited'
+
+function loadVisited() {
+  try {
+    return JSON.parse(readSetting(STORAGE_KEY) ?? '[]').filter(isScene)
+  } catch {
+    return []
+  }
+}
+
+// Scenes this browser has been to, kept across visits so returning visitors
+// see where they've already been on the star map.
+export function useVisitedScenes(initialScene) {
+  const [visited, setVisited] = useState(() => new Set([...loadVisited(), initialScene]))
+
+  const markVisited = (scene) => setVisited((current) => {
+    if (current.has(scene)) return current
+    const next = new Set(current).add(scene)
+    writeSetting(STORAGE_KEY, JSON.stringify([...next]))
+    return next
+  })
+
+  return [visited, markVisited]
+}
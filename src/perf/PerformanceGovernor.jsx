@@ -0,0 +1,25 @@
+import { PerformanceMonitor } from '@react-three/drei'
+import { ADAPTIVE_TIERS, useQuality } from './quality.js'
+
+// Lives inside the Canvas. Watches frame times and steps the automatic tier
+// down when frames are slow and back up when there's headroom. After a few
+// flip-flops it settles on low. Does nothing while the visitor has picked a
+// tier by hand or the software renderer is in use.
+export default function PerformanceGovernor() {
+  const { override, autoTier, setAutoTier } = useQuality()
+  if (override !== 'auto' || autoTier === 'software') return null
+
+  const step = (direction) => setAutoTier((current) => {
+    const index = ADAPTIVE_TIERS.indexOf(current) + direction
+    return ADAPTIVE_TIERS[Math.min(Math.max(index, 0), ADAPTIVE_TIERS.length - 1)]
+  })
+
+  return (
+    <PerformanceMonitor
+      flipflops={4}
+      onDecline={() => step(-1)}
+      onIncline={() => step(1)}
+      onFallback={() => setAutoTier('low')}
+    />
+  )
+}
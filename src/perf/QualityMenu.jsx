@@ -0,0 +1,14 @@
+import { QUALITY_TIERS, useQuality } from './quality.js'
+
+export default function QualityMenu() {
+  const { override, autoTier, setOverride } = useQuality()
+  return (
+    <label className="hud-label">
+      QUALITY
+      <select className="hud-select" value={override} onChange={(e) => setOverride(e.target.value)}>
+        <option value="auto">Auto ({QUALITY_TIERS[autoTier].label})</option>
+        {Object.entries(QUALITY_TIERS).map(([name, { label }]) => <option key={name} value={name}>{label}</option>)}
+      </select>
+    </label>
+  )
+}
@@ -0,0 +1,38 @@
+import { useMemo, useState } from 'react'
+import { readSetting, writeSetting } from '../storage.js'
+import { QUALITY_TIERS, QualityContext } from './quality.js'
+import { detectRenderer } from './renderer.js'
+
+const STORAGE_KEY = 'portfolio:quality'
+
+const storedOverride = () => {
+  const value = readSetting(STORAGE_KEY)
+  return value in QUALITY_TIERS ? value : 'auto'
+}
+
+export default function QualityProvider({ children }) {
+  const [override, setOverrideState] = useState(storedOverride)
+  const [detectedTier] = useState(() => (detectRenderer().software ? 'software' : 'high'))
+  const [autoTier, setAutoTier] = useState(detectedTier)
+
+  const value = useMemo(() => {
+    const tierName = override === 'auto' ? autoTier : override
+    return {
+      tierName,
+      tier: QUALITY_TIERS[tierName],
+      // Changing antialias recreates the WebGL context and remounts the
+      // governor, so only a manual pick changes it; automatic steps keep
+      // what the detected tier started with.
+      antialias: QUALITY_TIERS[override === 'auto' ? detectedTier : override].antialias,
+      override,
+      autoTier,
+      setOverride: (next) => {
+        writeSetting(STORAGE_KEY, next)
+        setOverrideState(next)
+      },
+      setAutoTier,
+    }
+  }, [override, autoTier, detectedTier])
+
+  return <QualityContext.Provider value={value}>{children}</QualityContext.Provider>
+}
@@ -0,0 +1,32 @@
+import { createContext, useContext } from 'react'
+
+// Render quality tiers. The governor moves between low, medium and high at
+// runtime; `software` is for CPU-rendered WebGL and is only entered when that
+// renderer is detected or the visitor picks it.
+//   dpr          Canvas device pixel ratio (range lets R3F clamp to the screen)
+//   stars        starfield points, and during a warp jump
+//   antialias    MSAA; changing it recreates the WebGL context, so the governor
+//                never changes it (see `antialias` on the context)
+//   shadows      shadow maps on the Canvas and the spotlight
+//   sceneLights  the per-scene accent lights on top of the ambient light
+//   lod          model detail level, see LOD_MODELS in the asset manifest
+export const QUALITY_TIERS = {
+  high: { label: 'High', dpr: [1, 2], stars: 5000, warpStars: 15000, antialias: true, shadows: true, sceneLights: true, lod: 0 },
+  medium: { label: 'Medium', dpr: [1, 1.5], stars: 3000, warpStars: 8000, antialias: true, shadows: false, sceneLights: true, lod: 1 },
+  low: { label: 'Low', dpr: [0.75, 1], stars: 1500, warpStars: 4000, antialias: false, shadows: false, sceneLights: false, lod: 2 },
+  software: { label: 'Software', dpr: 0.5, stars: 600, warpStars: 1200, antialias: false, shadows: false, sceneLights: false, lod: 2 },
+}
+
+// Tiers the governor steps through, worst to best.
+export const ADAPTIVE_TIERS = ['low', 'medium', 'high']
+
+export const QualityContext = createContext({
+  tierName: 'high',
+  tier: QUALITY_TIERS.high,
+  antialias: QUALITY_TIERS.high.antialias,
+  override: 'auto',
+  setOverride: () => {},
+  setAutoTier: () => {},
+})
+
+export const useQuality = () => useContext(QualityContext)
@@ -0,0 +1,23 @@
+// Probes WebGL once at startup. `software` is true for CPU rasterisers such as
+// SwiftShader or llvmpipe, which headless browsers and GPU-less machines use.
+let detected
+
+export function detectRenderer() {
+  detected ??= probe()
+  return detected
+}
+
+function probe() {
+  try {
+    const canvas = document.createElement('canvas')
+    const gl = canvas.getContext('webgl2') ?? canvas.getContext('webgl')
+    if (!gl) return { webgl: false, software: false, name: null }
+
+    const info = gl.getExtension('WEBGL_debug_renderer_info')
+    const name = String(gl.getParameter(info ? info.UNMASKED_RENDERER_WEBGL : gl.RENDERER))
+    gl.getExtension('WEBGL_lose_context')?.loseContext()
+    return { webgl: true, software: /swiftshader|llvmpipe|softpipe|software|basic render/i.test(name), name }
+  } catch {
+    return { webgl: false, software: false, name: null }
+  }
+}
@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from 'react'
+import { isPlaceholderUrl } from '../content/links.js'
+import { Paragraphs } from '../ui/content.jsx'
+
+function Gallery({ media }) {
+  const [active, setActive] = useState(0)
+  const item = media[active]
+  return (
+    <section aria-label="Gallery" style={{ marginBottom: '30px' }}>
+      <figure style={{ margin: 0 }}>
+        {item.type === 'video'
+          ? <video key={item.src} src={item.src} controls playsInline aria-label={item.alt} style={{ width: '100%', borderRadius: '12px', background: 'var(--bg)' }} />
+          : <img src={item.src} alt={item.alt} style={{ width: '100%', borderRadius: '12px', display: 'block' }} />}
+        {item.caption && <figcaption style={{ fontSize: '0.8rem', opacity: 0.7, marginTop: '8px' }}>{item.caption}</figcaption>}
+      </figure>
+      {media.length > 1 && (
+        <div style={{ display: 'flex', gap: '8px', marginTop: '12px', flexWrap: 'wrap' }}>
+          {media.map((m, i) => (
+            <button key={m.src} type="button" className="gallery-thumb" aria-pressed={i === active} aria-label={`Show ${m.alt}`} onClick={() => setActive(i)}>
+              {m.type === 'video'
+                ? <span style={{ color: 'var(--accent)', fontSize: '1.2rem' }}>▶</span>
+                : <img src={m.src} alt="" style={{ width: '100%', height: '100%', objectFit: 'cover' }} />}
+            </button>
+          ))}
+        </div>
+      )}
+    </section>
+  )
+}
+
+// Side panel with the long-form view of a project. Falls back to the card's
+// description and tags for anything the content file doesn't provide.
+export default function ProjectDetail({ project, onClose }) {
+  const { title, role, desc, tags, code, demo, details = {} } = project
+  const headingRef = useRef(null)
+
+  // Take focus on open, give it back to whatever opened us on close.
+  useEffect(() => {
+    const opener = document.activeElement
+    headingRef.current?.focus()
+    return () => opener?.focus?.()
+  }, [project.slug])
+
+  useEffect(() => {
+    const onKeyDown = (e) => { if (e.key === 'Escape') onClose() }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [onClose])
+
+  const links = [['VIEW CODE', code], ['LIVE DEMO', demo]].filter(([, href]) => !isPlaceholderUrl(href))
+
+  return (
+    <aside className="project-detail" data-project={project.slug} role="dialog" aria-modal="false" aria-labelledby="project-detail-title">
+      <button type="button" className="hud-btn" onClick={onClose} style={{ position: 'absolute', top: '20px', right: '20px' }}>CLOSE ✕</button>
+      <p style={{ fontSize: '0.8rem', color: 'var(--accent)', opacity: 0.8, textTransform: 'uppercase', margin: 0 }}>{role}</p>
+      <h2 id="project-detail-title" ref={headingRef} tabIndex={-1} style={{ color: 'var(--accent)', margin: '5px 0 20px' }}>{title}</h2>
+
+      {details.media?.length > 0 && <Gallery media={details.media} />}
+
+      <section aria-label="Write-up" style={{ marginBottom: '30px' }}>
+        <Paragraphs text={details.writeup ?? desc} />
+      </section>
+
+      <section style={{ marginBottom: '30px' }}>
+        <h3 style={{ color: 'var(--accent)', letterSpacing: '2px', fontSize: '0.9rem' }}>TECH STACK</h3>
+        {details.stack?.length
+          ? (
+            <dl style={{ margin: 0 }}>
+              {details.stack.map(({ name, role: use }) => (
+                <div key={name} style={{ display: 'flex', gap: '15px', padding: '8px 0', borderBottom: '1px solid rgba(var(--fg-rgb), 0.1)' }}>
+                  <dt style={{ fontWeight: 'bold', minWidth: '120px' }}>{name}</dt>
+                  <dd style={{ margin: 0, opacity: 0.8 }}>{use}</dd>
+                </div>
+              ))}
+            </dl>
+          )
+          : tags.map(tag => <span key={tag} className="tag">{tag}</span>)}
+      </section>
+
+      {details.metrics?.length > 0 && (
+        <section style={{ marginBottom: '30px' }}>
+          <h3 style={{ color: 'var(--accent)', letterSpacing: '2px', fontSize: '0.9rem' }}>OUTCOMES</h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))', gap: '12px' }}>
+            {details.metrics.map(({ label, value }) => (
+              <div key={label} className="stat-card">
+                <div style={{ fontSize: '1.4rem', fontWeight: 'bold', color: 'var(--accent)' }}>{value}</div>
+                <div style={{ fontSize: '0.75rem', opacity: 0.7 }}>{label}</div>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {links.length > 0 && (
+        <div style={{ display: 'flex', gap: '20px' }}>
+          {links.map(([label, href]) => <a key={label} href={href} target="_blank" rel="noreferrer" className="proj-link">{label}</a>)}
+        </div>
+      )}
+    </aside>
+  )
+}
@@ -0,0 +1,31 @@
+import { Suspense, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { Resize, useGLTF } from '@react-three/drei'
+import SceneErrorBoundary from '../scene3d/SceneErrorBoundary.jsx'
+import { FallbackCrystal } from '../scene3d/fallbacks.jsx'
+
+// The optional per-project model, normalised to a known size. In 'orbit' mode
+// it circles the projects scene model; in 'replace' mode it takes its place.
+function ShowcaseModel({ url, orbit }) {
+  const { scene } = useGLTF(url)
+  const ref = useRef()
+  useFrame((_, delta) => { if (ref.current) ref.current.rotation.y += delta * (orbit ? 0.4 : 0.2) })
+  return (
+    <group ref={ref}>
+      <group position={orbit ? [5, 0.5, 0] : [0, -0.5, 2]}>
+        <Resize scale={orbit ? 1.5 : 4}><primitive object={scene} /></Resize>
+      </group>
+    </group>
+  )
+}
+
+export default function ProjectShowcase({ project }) {
+  const orbit = project.modelMode === 'orbit'
+  return (
+    <SceneErrorBoundary key={project.slug} scene={`project:${project.slug}`} fallback={<FallbackCrystal scale={orbit ? 2 : 6} position={orbit ? [5, 0.5, 0] : [0, -0.5, 2]} />}>
+      <Suspense fallback={null}>
+        <ShowcaseModel url={project.model} orbit={orbit} />
+      </Suspense>
+    </SceneErrorBoundary>
+  )
+}
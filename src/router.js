@@ -0,0 +1,50 @@
+import { useEffect, useEffectEvent } from 'react'
+import { isScene } from './scenes.js'
+
+// Hash routes: '#/' is the travel intro, '#/<scene>' is every other scene.
+// Pre-rendered pages also live at '/<scene>/', which is used when there is no
+// hash.
+
+export function sceneFromHash(hash) {
+  const id = hash.replace(/^#\/?/, '')
+  if (!id) return 'travel'
+  return isScene(id) ? id : null
+}
+
+export function sceneFromPath(pathname) {
+  const id = pathname.split('/').filter(Boolean).pop()
+  return isScene(id) ? id : 'travel'
+}
+
+export const sceneHash = (scene) => (scene === 'travel' ? '#/' : `#/${scene}`)
+
+export const scenePath = (scene) => (scene === 'travel' ? '/' : `/${scene}/`)
+
+function sceneFromLocation({ hash, pathname }) {
+  return hash ? sceneFromHash(hash) : sceneFromPath(pathname)
+}
+
+export function initialScene() {
+  return sceneFromLocation(window.location) ?? 'travel'
+}
+
+// Records a scene change as a history entry. Uses pushState so it doesn't
+// fire our own hashchange listener.
+export function pushScene(scene) {
+  if (sceneFromLocation(window.location) === scene) return
+  window.history.pushState(null, '', sceneHash(scene))
+}
+
+// Calls onNavigate(scene) when the user edits the hash or moves through
+// history with back/forward.
+export function useSceneRoute(onNavigate) {
+  const navigate = useEffectEvent(onNavigate)
+  useEffect(() => {
+    const onHashChange = () => {
+      const scene = sceneFromLocation(window.location)
+      if (scene) navigate(scene)
+    }
+    window.addEventListener('hashchange', onHashChange)
+    return () => window.removeEventListener('hashchange', onHashChange)
+  }, [])
+}
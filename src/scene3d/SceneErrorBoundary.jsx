@@ -0,0 +1,22 @@
+import { Component } from 'react'
+
+// Catches a scene model that fails to load (missing or corrupt GLB) and
+// renders `fallback` in its place so the rest of the Canvas keeps running.
+export default class SceneErrorBoundary extends Component {
+  constructor(props) {
+    super(props)
+    this.state = { failed: false }
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true }
+  }
+
+  componentDidCatch(error) {
+    console.warn(`[scene] "${this.props.scene}" model failed to load, showing fallback.`, error)
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children
+  }
+}
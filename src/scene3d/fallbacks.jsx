@@ -0,0 +1,133 @@
+import { useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { Float } from '@react-three/drei'
+import * as THREE from 'three'
+import { useTheme } from '../theme/theme.js'
+
+// Procedural stand-ins rendered by SceneErrorBoundary when a scene's GLB can't
+// be loaded. They sit where the real models do, at roughly the same size.
+
+const diskShader = {
+  uniforms: { uTime: { value: 0 } },
+  vertexShader: /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */ `
+    uniform float uTime;
+    varying vec2 vUv;
+    void main() {
+      vec2 p = vUv - 0.5;
+      float r = length(p) * 2.0;
+      float angle = atan(p.y, p.x);
+      float swirl = sin(angle * 6.0 + r * 18.0 - uTime * 2.5) * 0.5 + 0.5;
+      float ring = smoothstep(0.45, 0.55, r) * (1.0 - smoothstep(0.85, 1.0, r));
+      vec3 color = mix(vec3(1.0, 0.45, 0.1), vec3(1.0, 0.9, 0.6), swirl) * (1.4 - r);
+      gl_FragColor = vec4(color, ring * (0.55 + swirl * 0.45));
+    }
+  `,
+}
+
+export function FallbackBlackHole({ scale }) {
+  const material = useRef()
+  useFrame((state) => { material.current.uniforms.uTime.value = state.clock.elapsedTime })
+  return (
+    <Float speed={1}>
+      <group scale={scale} position={[0, -1, -8]}>
+        <mesh>
+          <sphereGeometry args={[0.8, 48, 48]} />
+          <meshBasicMaterial color="black" />
+        </mesh>
+        <mesh rotation={[-Math.PI / 2.4, 0, 0]}>
+          <planeGeometry args={[4, 4]} />
+          <shaderMaterial ref={material} args={[diskShader]} transparent depthWrite={false} side={THREE.DoubleSide} />
+        </mesh>
+      </group>
+    </Float>
+  )
+}
+
+export function FallbackWormhole({ scale }) {
+  const { theme } = useTheme()
+  const ref = useRef()
+  useFrame(() => { ref.current.rotation.z += 0.005 })
+  return (
+    <group ref={ref} scale={scale / 15} position={[0, 0, -20]}>
+      {[0, 1, 2, 3].map(i => (
+        <mesh key={i} position={[0, 0, i * -6]}>
+          <torusGeometry args={[8 - i, 1.2, 16, 64]} />
+          <meshBasicMaterial color={theme.three.accent} wireframe transparent opacity={0.6 - i * 0.12} />
+        </mesh>
+      ))}
+    </group>
+  )
+}
+
+// Seeded so the continents come out the same on every load.
+function seededRandom(seed) {
+  return () => {
+    seed = (seed * 16807) % 2147483647
+    return (seed - 1) / 2147483646
+  }
+}
+
+function createEarthTexture() {
+  const random = seededRandom(42)
+  const canvas = document.createElement('canvas')
+  canvas.width = 512
+  canvas.height = 256
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = '#0b3d91'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  ctx.fillStyle = '#2e8b57'
+  for (let i = 0; i < 40; i++) {
+    ctx.beginPath()
+    ctx.ellipse(random() * 512, 40 + random() * 176, 10 + random() * 40, 6 + random() * 24, random() * Math.PI, 0, Math.PI * 2)
+    ctx.fill()
+  }
+  ctx.fillStyle = '#f0f4f8'
+  ctx.fillRect(0, 0, canvas.width, 14)
+  ctx.fillRect(0, canvas.height - 14, canvas.width, 14)
+  const texture = new THREE.CanvasTexture(canvas)
+  texture.colorSpace = THREE.SRGBColorSpace
+  return texture
+}
+
+export function FallbackEarth({ scale }) {
+  const ref = useRef()
+  const texture = useMemo(() => createEarthTexture(), [])
+  useFrame(() => { ref.current.rotation.y += 0.003 })
+  return (
+    <mesh ref={ref} scale={scale}>
+      <sphereGeometry args={[1, 64, 64]} />
+      <meshStandardMaterial map={texture} roughness={0.8} />
+    </mesh>
+  )
+}
+
+// Generic stand-in for the ship, project and contact scenes.
+export function FallbackCrystal({ scale, position = [0, 0, 0] }) {
+  const { theme } = useTheme()
+  const ref = useRef()
+  useFrame((state) => {
+    ref.current.rotation.y = state.clock.elapsedTime * 0.3
+    ref.current.rotation.x = Math.sin(state.clock.elapsedTime * 0.5) * 0.2
+  })
+  return (
+    <Float speed={1}>
+      <group ref={ref} scale={scale * 0.4} position={position}>
+        <mesh>
+          <icosahedronGeometry args={[1, 1]} />
+          <meshStandardMaterial color="#0a2a2a" metalness={0.6} roughness={0.3} flatShading />
+        </mesh>
+        <mesh scale={1.02}>
+          <icosahedronGeometry args={[1, 1]} />
+          <meshBasicMaterial color={theme.three.accent} wireframe />
+        </mesh>
+      </group>
+    </Float>
+  )
+}
@@ -0,0 +1,18 @@
+// The warp journey, in tour order. Each scene jumps to the next one and the
+// last loops back to the start.
+export const SCENES = ['travel', 'blackhole', 'wormhole', 'earth', 'projects', 'contact']
+
+export const NEXT_SCENE = Object.fromEntries(SCENES.map((scene, i) => [scene, SCENES[(i + 1) % SCENES.length]]))
+
+export const isScene = (value) => SCENES.includes(value)
+
+// Human-readable names, used for headings announced to screen readers and
+// for button labels.
+export const SCENE_LABELS = {
+  travel: 'Welcome',
+  blackhole: 'Profile',
+  wormhole: 'My Journey',
+  earth: 'Technical Skills',
+  projects: 'Featured Projects',
+  contact: 'Get In Touch',
+}
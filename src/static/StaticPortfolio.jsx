@@ -0,0 +1,88 @@
+import content from '../content/portfolio.json'
+import { SCENES, SCENE_LABELS } from '../scenes.js'
+import { scenePath } from '../router.js'
+import ContactForm from '../contact/ContactForm.jsx'
+import { ProjectCard, RichText, SkillBar } from '../ui/content.jsx'
+
+// The portfolio without WebGL: every scene's content as plain scrolling
+// sections. Served at runtime when the Canvas can't start, and pre-rendered
+// per scene at build time (scripts/prerender.js) for crawlers.
+
+const sectionStyle = { maxWidth: '1100px', margin: '0 auto', padding: '60px 20px', textAlign: 'center' }
+
+const SECTIONS = {
+  travel: () => (
+    <p style={{ fontSize: '1.2rem', maxWidth: '800px', margin: '0 auto', lineHeight: '1.6' }}>{content.profile.welcome}</p>
+  ),
+  blackhole: () => (
+    <>
+      <img src={content.profile.photo} alt={content.profile.name} width="200" height="200" style={{ borderRadius: '50%', border: '5px solid var(--accent)', objectFit: 'cover' }} />
+      <p style={{ fontSize: '1.5rem', margin: '20px 0 0' }}>Hello, I'm <span style={{ color: 'var(--accent)' }}>{content.profile.name}</span></p>
+      <p style={{ opacity: 0.8 }}>{content.profile.tagline}</p>
+    </>
+  ),
+  wormhole: () => (
+    <>
+      <p style={{ fontSize: '1.1rem', lineHeight: '1.7', textAlign: 'left' }}><RichText text={content.about} /></p>
+      <h3 style={{ color: 'var(--accent)', letterSpacing: '4px', marginTop: '40px' }}>EDUCATION TIMELINE</h3>
+      <div className="timeline-container">
+        {content.education.map(({ school, period, summary }) => (
+          <div key={school} className="timeline-item"><div className="timeline-dot" /><h4 style={{ color: 'var(--accent)', margin: '0' }}>{school}</h4><span style={{ opacity: 0.6 }}>{period}</span><p>{summary}</p></div>
+        ))}
+      </div>
+    </>
+  ),
+  earth: () => (
+    <div className="grid-container">
+      {content.skillGroups.map(({ title, skills }) => (
+        <div key={title} className="skill-box"><h3 style={{ color: 'var(--accent)' }}>{title}</h3>{skills.map(skill => <SkillBar key={skill.name} {...skill} />)}</div>
+      ))}
+    </div>
+  ),
+  projects: () => (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '25px' }}>
+      {content.projects.map(project => <ProjectCard key={project.title} {...project} />)}
+    </div>
+  ),
+  contact: () => (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '40px', textAlign: 'left' }}>
+      <div className="skill-box">
+        <h3 style={{ color: 'var(--accent)', marginBottom: '25px' }}>Send a Message</h3>
+        <ContactForm />
+      </div>
+      <div>
+        {content.contacts.map(({ label, value, href }) => (
+          <div key={label} className="stat-card" style={{ marginBottom: '15px', textAlign: 'left' }}>
+            <h4 style={{ color: 'var(--accent)', margin: '0' }}>{label}</h4>
+            {href ? <a href={href} style={{ color: 'var(--text)' }}>{value}</a> : <p>{value}</p>}
+          </div>
+        ))}
+      </div>
+    </div>
+  ),
+}
+
+// `scenes` picks which sections to render. `linkMode` decides whether the
+// nav jumps within the page ('anchor') or to the pre-rendered scene pages ('page').
+export default function StaticPortfolio({ scenes = SCENES, linkMode = 'anchor' }) {
+  const href = (scene) => (linkMode === 'page' ? scenePath(scene) : `#section-${scene}`)
+  return (
+    <div style={{ minHeight: '100vh', background: 'var(--bg)', color: 'var(--text)', fontFamily: '"Inter", sans-serif' }}>
+      <nav aria-label="Sections" style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '20px', padding: '20px', borderBottom: '1px solid rgba(var(--accent-rgb), 0.2)' }}>
+        {SCENES.map(scene => <a key={scene} href={href(scene)} className="proj-link">{SCENE_LABELS[scene].toUpperCase()}</a>)}
+      </nav>
+      <main>
+        <h1 style={{ textAlign: 'center', color: 'var(--accent)', margin: '40px 20px 0' }}>{content.profile.name}</h1>
+        {scenes.map(scene => {
+          const Section = SECTIONS[scene]
+          return (
+            <section key={scene} id={`section-${scene}`} aria-labelledby={`heading-${scene}`} style={sectionStyle}>
+              <h2 id={`heading-${scene}`} style={{ color: 'var(--accent)' }}>{SCENE_LABELS[scene]}</h2>
+              <Section />
+            </section>
+          )
+        })}
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,24 @@
+import { Component } from 'react'
+import StaticPortfolio from './StaticPortfolio.jsx'
+
+// Wraps the 3D app. If anything in it throws, most often the Canvas failing
+// to create a WebGL context, visitors get the static 2D portfolio instead of
+// a black screen.
+export default class WebGLGate extends Component {
+  constructor(props) {
+    super(props)
+    this.state = { failed: false }
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true }
+  }
+
+  componentDidCatch(error) {
+    console.warn('[webgl] 3D experience failed to start, showing the static portfolio.', error)
+  }
+
+  render() {
+    return this.state.failed ? <StaticPortfolio /> : this.props.children
+  }
+}
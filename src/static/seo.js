@@ -0,0 +1,63 @@
+import content from '../content/portfolio.json'
+import { SCENE_LABELS } from '../scenes.js'
+import { scenePath } from '../router.js'
+
+const { profile } = content
+const plain = (text) => text.replaceAll('**', '')
+
+const DESCRIPTIONS = {
+  travel: profile.welcome,
+  blackhole: `${profile.name} — ${profile.tagline}`,
+  wormhole: plain(content.about),
+  earth: `Technical skills: ${content.skillGroups.map(({ title, skills }) => `${title} (${skills.map(s => s.name).join(', ')})`).join('; ')}.`,
+  projects: `Projects: ${content.projects.map(p => p.title).join(', ')}.`,
+  contact: `Get in touch with ${profile.name}.`,
+}
+
+export function sceneMeta(scene) {
+  return {
+    title: scene === 'travel' ? `${profile.name} — Portfolio` : `${SCENE_LABELS[scene]} | ${profile.name}`,
+    description: DESCRIPTIONS[scene],
+    path: scenePath(scene),
+  }
+}
+
+// schema.org Person built from the profile, education, skills and contact links.
+export function personJsonLd(siteUrl = '') {
+  const hrefs = content.contacts.map(c => c.href).filter(Boolean)
+  const email = hrefs.find(href => href.startsWith('mailto:'))
+  const latestSchool = content.education.at(-1)
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: profile.name,
+    description: profile.tagline,
+    ...(siteUrl && { image: `${siteUrl}${profile.photo}`, url: `${siteUrl}/` }),
+    ...(email && { email: email.replace('mailto:', '') }),
+    sameAs: hrefs.filter(href => href.startsWith('http')),
+    alumniOf: { '@type': 'EducationalOrganization', name: latestSchool.school },
+    knowsAbout: content.skillGroups.flatMap(({ skills }) => skills.map(s => s.name)),
+  }
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch])
+
+// <head> tags for a pre-rendered scene page. `siteUrl` (no trailing slash)
+// makes canonical and Open Graph URLs absolute; without it they're omitted,
+// since crawlers ignore or mis-resolve relative ones.
+export function renderHead(scene, siteUrl = '') {
+  const { title, description, path } = sceneMeta(scene)
+  const tags = [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}" />`,
+    siteUrl && `<link rel="canonical" href="${siteUrl}${path}" />`,
+    '<meta property="og:type" content="profile" />',
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    siteUrl && `<meta property="og:url" content="${siteUrl}${path}" />`,
+    siteUrl && `<meta property="og:image" content="${siteUrl}${profile.photo}" />`,
+    '<meta name="twitter:card" content="summary" />',
+    `<script type="application/ld+json">${JSON.stringify(personJsonLd(siteUrl)).replace(/</g, '\\u003c')}</script>`,
+  ]
+  return tags.filter(Boolean).join('\n    ')
+}
@@ -0,0 +1,19 @@
+// localStorage that fails soft. Reading or writing throws a SecurityError when
+// storage is blocked (cookies disabled, sandboxed iframes); settings then just
+// last for the visit instead of taking the page down.
+
+export function readSetting(key) {
+  try {
+    return localStorage.getItem(key)
+  } catch {
+    return null
+  }
+}
+
+export function writeSetting(key, value) {
+  try {
+    localStorage.setItem(key, value)
+  } catch {
+    // Not persisted; the in-memory value still applies.
+  }
+}
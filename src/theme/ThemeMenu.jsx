@@ -0,0 +1,14 @@
+import { useTheme } from './theme.js'
+import { THEMES } from './themes.js'
+
+export default function ThemeMenu() {
+  const { themeName, setTheme } = useTheme()
+  return (
+    <label className="hud-label">
+      THEME
+      <select className="hud-select" value={themeName} onChange={(e) => setTheme(e.target.value)}>
+        {Object.entries(THEMES).map(([name, { label }]) => <option key={name} value={name}>{label}</option>)}
+      </select>
+    </label>
+  )
+}
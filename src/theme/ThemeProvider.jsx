@@ -0,0 +1,28 @@
+import { useLayoutEffect, useMemo, useState } from 'react'
+import { readSetting, writeSetting } from '../storage.js'
+import { ThemeContext } from './theme.js'
+import { applyTheme, DEFAULT_THEME, THEMES } from './themes.js'
+
+const STORAGE_KEY = 'portfolio:theme'
+
+const storedTheme = () => {
+  const value = readSetting(STORAGE_KEY)
+  return value in THEMES ? value : DEFAULT_THEME
+}
+
+export default function ThemeProvider({ children }) {
+  const [themeName, setThemeName] = useState(storedTheme)
+
+  useLayoutEffect(() => applyTheme(themeName), [themeName])
+
+  const value = useMemo(() => ({
+    themeName,
+    theme: THEMES[themeName],
+    setTheme: (next) => {
+      writeSetting(STORAGE_KEY, next)
+      setThemeName(next)
+    },
+  }), [themeName])
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
+}
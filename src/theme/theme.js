@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react'
+import { DEFAULT_THEME, THEMES } from './themes.js'
+
+export const ThemeContext = createContext({
+  themeName: DEFAULT_THEME,
+  theme: THEMES[DEFAULT_THEME],
+  setTheme: () => {},
+})
+
+export const useTheme = () => useContext(ThemeContext)
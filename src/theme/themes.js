@@ -0,0 +1,61 @@
+// Design tokens for each built-in theme. The `css` tokens become custom
+// properties on <html> (see cssVariables) and style the overlays; `three`
+// tokens are read through useTheme() by lights and materials in the Canvas.
+//
+//   bg, text     page background and body text
+//   accent       highlight colour; accentRgb is the same as "r, g, b" for
+//                translucent tints via rgba(var(--accent-rgb), a)
+//   onAccent     text drawn on an accent fill
+//   fgRgb        tint for light-on-dark surfaces, rgba(var(--fg-rgb), a)
+//   shadeRgb     tint for panels behind text, rgba(var(--shade-rgb), a)
+//   flash        the warp flash overlay
+//   danger       form errors
+export const THEMES = {
+  cyan: {
+    label: 'Cyan',
+    scheme: 'dark',
+    css: { bg: '#000000', text: '#ffffff', accent: '#00ffff', accentRgb: '0, 255, 255', onAccent: '#000000', fgRgb: '255, 255, 255', shadeRgb: '0, 0, 0', flash: '#ffffff', danger: '#ff6b6b' },
+    three: { light: '#00ffff', accent: '#00ffff', ambient: 1.5, stars: true },
+  },
+  amber: {
+    label: 'Amber',
+    scheme: 'dark',
+    css: { bg: '#0a0602', text: '#fff6e5', accent: '#ffb000', accentRgb: '255, 176, 0', onAccent: '#1a1000', fgRgb: '255, 246, 229', shadeRgb: '10, 6, 2', flash: '#fff1cc', danger: '#ff7a59' },
+    three: { light: '#ffb000', accent: '#ffb000', ambient: 1.3, stars: true },
+  },
+  monochrome: {
+    label: 'Monochrome',
+    scheme: 'dark',
+    css: { bg: '#000000', text: '#f2f2f2', accent: '#e6e6e6', accentRgb: '230, 230, 230', onAccent: '#000000', fgRgb: '255, 255, 255', shadeRgb: '0, 0, 0', flash: '#ffffff', danger: '#ff8080' },
+    three: { light: '#ffffff', accent: '#e6e6e6', ambient: 1.5, stars: true },
+  },
+  light: {
+    label: 'Light',
+    scheme: 'light',
+    css: { bg: '#eef2f7', text: '#0b1220', accent: '#0069c2', accentRgb: '0, 105, 194', onAccent: '#ffffff', fgRgb: '11, 18, 32', shadeRgb: '255, 255, 255', flash: '#ffffff', danger: '#c62828' },
+    // Additive stars vanish on a light background, so the starfield is skipped.
+    three: { light: '#4da3ff', accent: '#0069c2', ambient: 2, stars: false },
+  },
+}
+
+export const DEFAULT_THEME = 'cyan'
+
+const kebab = (name) => name.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`)
+
+// { '--accent': '#00ffff', '--accent-rgb': '0, 255, 255', ... }
+export function cssVariables(themeName) {
+  const { css, scheme } = THEMES[themeName]
+  return {
+    'color-scheme': scheme,
+    ...Object.fromEntries(Object.entries(css).map(([name, value]) => [`--${kebab(name)}`, value])),
+  }
+}
+
+// ":root { --accent: #00ffff; ... }" for pages rendered without JS.
+export const cssVariablesBlock = (themeName) =>
+  `:root { ${Object.entries(cssVariables(themeName)).map(([name, value]) => `${name}: ${value};`).join(' ')} }`
+
+export function applyTheme(themeName, root = document.documentElement) {
+  for (const [name, value] of Object.entries(cssVariables(themeName))) root.style.setProperty(name, value)
+  root.dataset.theme = themeName
+}
@@ -0,0 +1,44 @@
+// Building blocks for portfolio content, shared by the 3D scenes' overlays
+// and the static 2D version.
+
+import { isPlaceholderUrl } from '../content/links.js'
+
+export const SkillBar = ({ name, percent }) => (
+  <div style={{ marginBottom: '15px', textAlign: 'left' }}>
+    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+      <span style={{ fontSize: '0.9rem' }}>{name}</span>
+      <span style={{ color: 'var(--accent)', fontSize: '0.9rem' }}>{percent}%</span>
+    </div>
+    <div style={{ width: '100%', height: '6px', background: 'rgba(var(--fg-rgb), 0.1)', borderRadius: '10px' }}>
+      <div style={{ width: `${percent}%`, height: '100%', background: 'var(--accent)', borderRadius: '10px', boxShadow: '0 0 10px var(--accent)' }}></div>
+    </div>
+  </div>
+)
+
+export function ProjectCard({ slug, title, role, desc, tags, code, demo, onOpen }) {
+  const links = [['CODE', code, 'proj-link'], ['DEMO', demo, 'proj-link demo']].filter(([, href]) => !isPlaceholderUrl(href))
+  // Clicking anywhere on the card opens the details, except on its own links.
+  const openFromCard = onOpen && ((e) => { if (!e.target.closest('a, button')) onOpen() })
+  return (
+    <div className="project-card" data-project={slug} onClick={openFromCard} style={{ cursor: onOpen ? 'pointer' : undefined }}>
+      <h3 style={{ color: 'var(--accent)', marginBottom: '5px' }}>{title}</h3>
+      <p style={{ fontSize: '0.8rem', color: 'var(--accent)', opacity: 0.8, marginBottom: '10px', textTransform: 'uppercase' }}>{role}</p>
+      <p style={{ fontSize: '0.95rem', opacity: 0.9, marginBottom: '15px' }}>{desc}</p>
+      <div style={{ marginBottom: '20px' }}>
+        {tags.map(tag => <span key={tag} className="tag">{tag}</span>)}
+      </div>
+      {(links.length > 0 || onOpen) && (
+        <div style={{ display: 'flex', gap: '15px' }}>
+          {links.map(([label, href, className]) => <a key={label} href={href} target="_blank" rel="noreferrer" className={className}>{label}</a>)}
+          {onOpen && <button type="button" className="proj-link" onClick={onOpen} aria-label={`Details for ${title}`}>DETAILS</button>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Splits a write-up into paragraphs on blank lines.
+export const Paragraphs = ({ text }) => text.split(/\n\s*\n/).map((para, i) => <p key={i} style={{ lineHeight: '1.7' }}><RichText text={para} /></p>)
+
+// Renders "**bold**" spans from the content file as <b>.
+export const RichText = ({ text }) => text.split('**').map((part, i) => (i % 2 ? <b key={i}>{part}</b> : part))
@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react'
+import { DEFAULT_VIEWPORT, ViewportContext, readViewport } from './viewport.js'
+
+const hasWindow = typeof window !== 'undefined'
+
+// Tracks size, orientation, pointer type and DPR, re-measuring at most once a
+// frame. Pass `viewport` (see describeViewport) to pin a fixed value instead,
+// e.g. in tests; outside a browser the default desktop viewport is used.
+export default function ViewportProvider({ viewport, children }) {
+  const [measured, setMeasured] = useState(() => (hasWindow ? readViewport() : DEFAULT_VIEWPORT))
+  const fixed = viewport !== undefined
+
+  useEffect(() => {
+    if (fixed || !hasWindow) return
+    let frame = 0
+    const update = () => {
+      cancelAnimationFrame(frame)
+      frame = requestAnimationFrame(() => setMeasured(readViewport()))
+    }
+
+    const pointer = window.matchMedia('(pointer: fine)')
+    // Fires when the window moves to a screen with a different pixel ratio.
+    // The query is pinned to the ratio at subscribe time, so re-arm after.
+    let resolution
+    const watchResolution = () => {
+      resolution?.removeEventListener('change', onResolution)
+      resolution = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+      resolution.addEventListener('change', onResolution)
+    }
+    const onResolution = () => { watchResolution(); update() }
+    watchResolution()
+
+    window.addEventListener('resize', update)
+    window.addEventListener('orientationchange', update)
+    pointer.addEventListener('change', update)
+    return () => {
+      cancelAnimationFrame(frame)
+      window.removeEventListener('resize', update)
+      window.removeEventListener('orientationchange', update)
+      pointer.removeEventListener('change', update)
+      resolution.removeEventListener('change', onResolution)
+    }
+  }, [fixed])
+
+  return <ViewportContext.Provider value={fixed ? viewport : measured}>{children}</ViewportContext.Provider>
+}
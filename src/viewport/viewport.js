@@ -0,0 +1,35 @@
+import { createContext, useContext } from 'react'
+
+// Width breakpoints in CSS pixels; each applies from its value up. `mobile`
+// covers the same widths as the (max-width: 768px) block in styles/global.css,
+// so at exactly 768px both JS and CSS lay out for mobile.
+export const BREAKPOINTS = { mobile: 0, tablet: 769, desktop: 1200 }
+
+// Fills in the derived fields from the raw measurements. Also the way to
+// build a fake viewport for <ViewportProvider viewport={...}>.
+export function describeViewport({ width, height, dpr = 1, pointer = 'fine' }) {
+  const breakpoint = Object.keys(BREAKPOINTS).findLast(name => width >= BREAKPOINTS[name])
+  return {
+    width,
+    height,
+    dpr,
+    pointer,
+    breakpoint,
+    isMobile: breakpoint === 'mobile',
+    orientation: height > width ? 'portrait' : 'landscape',
+  }
+}
+
+// What components see without a browser (SSR, Node) or without a provider.
+export const DEFAULT_VIEWPORT = describeViewport({ width: 1280, height: 800 })
+
+export function readViewport(win = window) {
+  const pointer = win.matchMedia('(pointer: fine)').matches ? 'fine'
+    : win.matchMedia('(pointer: coarse)').matches ? 'coarse'
+      : 'none'
+  return describeViewport({ width: win.innerWidth, height: win.innerHeight, dpr: win.devicePixelRatio || 1, pointer })
+}
+
+export const ViewportContext = createContext(DEFAULT_VIEWPORT)
+
+export const useViewport = () => useContext(ViewportContext)
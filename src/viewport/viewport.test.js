@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { BREAKPOINTS, DEFAULT_VIEWPORT, describeViewport } from './viewport.js'
+
+const at = (width, height = 800) => describeViewport({ width, height })
+
+describe('describeViewport', () => {
+  it('treats widths up to the 768px media query as mobile', () => {
+    assert.equal(at(320).breakpoint, 'mobile')
+    assert.equal(at(767).breakpoint, 'mobile')
+    assert.equal(at(768).breakpoint, 'mobile')
+    assert.equal(at(768).isMobile, true)
+  })
+
+  it('switches to tablet just above the media query', () => {
+    assert.equal(at(BREAKPOINTS.tablet).breakpoint, 'tablet')
+    assert.equal(at(769).isMobile, false)
+    assert.equal(at(1199).breakpoint, 'tablet')
+  })
+
+  it('switches to desktop at 1200px', () => {
+    assert.equal(at(1200).breakpoint, 'desktop')
+    assert.equal(at(2560).breakpoint, 'desktop')
+  })
+
+  it('reports portrait only when taller than wide', () => {
+    assert.equal(at(400, 800).orientation, 'portrait')
+    assert.equal(at(800, 800).orientation, 'landscape')
+    assert.equal(at(1280, 800).orientation, 'landscape')
+  })
+
+  it('defaults dpr and pointer, and passes them through when given', () => {
+    assert.deepEqual({ dpr: at(800).dpr, pointer: at(800).pointer }, { dpr: 1, pointer: 'fine' })
+    const touch = describeViewport({ width: 390, height: 844, dpr: 3, pointer: 'coarse' })
+    assert.deepEqual({ dpr: touch.dpr, pointer: touch.pointer }, { dpr: 3, pointer: 'coarse' })
+  })
+
+  it('falls back to a desktop viewport outside the browser', () => {
+    assert.equal(DEFAULT_VIEWPORT.breakpoint, 'desktop')
+    assert.equal(DEFAULT_VIEWPORT.isMobile, false)
+  })
+})
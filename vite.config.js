@@ -1,7 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import api from './plugins/api.js'
+import assets from './plugins/assets.js'
+import content from './plugins/content.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [content(), assets(), api(), react()],
 })